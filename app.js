@@ -12,13 +12,38 @@ const CONFIG = {
     minCardMargin: 5,            // Minimum margin in pixels around card (all sides)
 
     // Animation timings (milliseconds)
-    throwDuration: 400,
     settleDuration: 200,
-
-    // Throw animation
-    throwDistanceMin: 2.5,
-    throwDistanceMax: 3.0,
-    throwRotationRange: 720,      // ±360 degrees
+    springBackDuration: 250,
+    returnDuration: 350,          // Undone card flying back onto the stack
+    crossfadeDuration: 150,       // Replaces throw/settle/return motion with prefers-reduced-motion
+    flingMaxDuration: 1500,       // Safety cap in case a fling never leaves the screen
+
+    // Drag and fling physics (velocities in CSS pixels per millisecond)
+    dragTiltPerPixel: 0.05,       // Degrees of tilt per pixel dragged horizontally
+    dragMaxTilt: 20,
+    velocitySampleWindow: 100,    // Release velocity is measured over the last N ms
+    flingMinDistance: 80,         // Drags at least this long always fling
+    flingMinSpeed: 0.6,           // Faster releases fling even when short
+    flingSpinFactor: -0.3,        // Degrees per ms of spin per px/ms of horizontal speed
+    tapMaxDuration: 250,          // Quick press without movement counts as a tap
+    tapThrowSpeed: 2.0,
+
+    // Inspection zoom of the current card (pinch, wheel); gestures pan instead of throw while zoomed
+    zoomMaxPixelsPerTexel: 2,     // Zoom stops once one image pixel covers this many CSS pixels
+    zoomMaxFallback: 3,           // Limit for manifests without image sizes
+    zoomWheelSpeed: 0.002,        // Exponential zoom per wheel delta pixel
+    zoomResetDuration: 200,
+    doubleTapMaxDelay: 300,       // A second tap within this many ms resets the zoom
+
+    // Swipe grading
+    swipeMinDistance: 30,         // Pixels; shorter gestures count as a tap
+    swipeGrades: {                // Grade recorded for each swipe direction
+        right: 'good',
+        up: 'good',
+        left: 'again',
+        down: 'again'
+    },
+    tapDirection: 'right',        // A tap throws (and grades) as if swiped this way
 
     // Depth values for WebGPU depth testing
     depthCurrent: 0.1,
@@ -26,33 +51,192 @@ const CONFIG = {
     // depthStackIncrement is calculated dynamically to fit all stack cards in range 0.5-1.0
 
     // Persistence
-    cookieName: 'cardStudyProgress',
-    cookieExpireDays: 365,
+    dbName: 'cardStudy',
+    dbVersion: 3,
+    localStoragePrefix: 'cardStudy:', // Used when IndexedDB is unavailable
+    legacyCookieName: 'cardStudyProgress', // Pre-IndexedDB progress, migrated on first run
+
+    // Spaced repetition (SM-2)
+    initialEase: 2.5,
+    minEase: 1.3,
+    firstInterval: 1,             // Days after the first successful review
+    secondInterval: 6,            // Days after the second successful review
+    newCardsPerQueue: 20,         // Unseen cards mixed into each queue build
+    defaultGrade: 'good',         // Grade recorded when a card is thrown without a choice
+    historyLimit: 50,             // Throws that can be undone
+    knownIntervalDays: 21,        // Cards scheduled at least this far apart count as "known"
+
+    // Stats screen
+    statsSessionGapMinutes: 30,   // A longer pause between reviews starts a new session
+    statsHistoryDays: 30,
+    statsForecastDays: 7,
+    statsHardestCount: 10,
+
+    // Progress sync (see HttpSyncAdapter)
+    syncTimeout: 8000,            // Per request, so startup never hangs on an unreachable server
+    syncMaxAttempts: 3,           // Pull-merge-push rounds when another device pushes in between
+
+    // Cross-tab coordination (see TabCoordinator)
+    tabChannelName: 'cardStudy',
+    tabHelloTimeout: 300,         // How long a new tab waits for a studying tab to answer
+    tabFollowDelay: 250,          // Passive tabs reload this long after the last progress message
+
+    // GPU texture cache (whichever limit is hit first triggers LRU eviction)
+    // Keep maxCards comfortably above preloadCount + 1: the current card and stack are never evicted
+    textureCacheMaxCards: 24,
+    textureCacheMaxMB: 96,
+
+    // Failed card images are retried with exponential backoff, then skipped for the session
+    imageLoadAttempts: 3,
+    imageRetryDelay: 500,         // Before the first retry; doubles each time
+    rendererRestoreAttempts: 3,   // Tries to rebuild the GPU device / context after it was lost
+
+    // Name quiz: card regions hidden until a tap reveals them, in card-relative UV (0,0 = top-left)
+    // A manifest entry's "layout" field picks the layout; unknown layouts fall back to "normal"
+    maskRevealDuration: 450,
+    maskedRegions: ['title', 'rules'],
+    maskLayouts: {
+        normal: {
+            title: [0.06, 0.035, 0.94, 0.1],
+            typeLine: [0.06, 0.555, 0.94, 0.615],
+            rules: [0.07, 0.625, 0.93, 0.9]
+        },
+        fullArt: {
+            title: [0.06, 0.035, 0.94, 0.1],
+            typeLine: [0.06, 0.76, 0.94, 0.82],
+            rules: [0.07, 0.82, 0.93, 0.9]
+        }
+    },
+
+    // Language variants
+    languageFlipDuration: 250,    // Crossfade between the two languages of a card
+    peekHoldDelay: 450,           // Holding still on the card this long peeks at the second language
+    peekDuration: 1200,           // How long the peek key shows the second language
+    depthOverlay: 0.05,           // Second-language image drawn just in front of the current card
+
+    // Type-the-name mode
+    answerTypoRatio: 0.2,         // Edits per character an answer may be off and still count (graded "hard")
+    answerThrowDirections: {      // Where the card flies after a right or wrong answer
+        correct: 'up',
+        wrong: 'left'
+    },
+
+    // Multiple-choice mode
+    choiceCount: 4,               // Options shown, including the right one
+    distractorPoolSize: 8,        // Wrong options are drawn from this many of the most similar cards
+
+    // Gallery
+    galleryThumbWidth: 120,       // Target thumbnail width; columns stretch to fill the row
+    galleryGap: 10,
+    galleryOverscanRows: 2,       // Rows kept in the DOM above and below the visible ones
+    galleryTransitionDuration: 300,
+
+    // Share links
+    shareFeedbackDuration: 1500,  // How long the share button shows "copied" (ms)
+
+    // Shown while a card image decodes and the manifest has no thumbnail (RGBA)
+    placeholderColor: [40, 40, 46, 255],
+
+    // Offline support
+    serviceWorkerUrl: 'sw.js',
+    offlineStatusHideDelay: 3000, // How long "Available offline" stays visible (ms)
 
     // Preloading (should match maxStackCards to show full stack)
     get preloadCount() {
         return this.maxStackCards;
     },
 
+    // Debug logging (also enabled with ?debug in the URL)
+    debug: new URLSearchParams(window.location.search).has('debug'),
+
     // Computed values (do not modify directly)
     get depthStackIncrement() {
         return (1.0 - this.depthStackBase) / this.maxStackCards;
+    },
+
+    // Shortest queue worth building (current card + a full stack)
+    get minQueueLength() {
+        return this.maxStackCards + 1;
+    },
+
+    // Missed cards are re-queued just past the preloaded stack so the loaded textures stay valid
+    get relearnQueueGap() {
+        return this.maxStackCards + 2;
     }
 };
 
+// Unit screen vector (+y down) for each swipe direction
+const SWIPE_AXES = {
+    right: [1, 0],
+    left: [-1, 0],
+    up: [0, -1],
+    down: [0, 1]
+};
+
+// SM-2 quality values for each grade
+const GRADES = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+};
+
+// Study modes; masked modes hide CONFIG.maskedRegions until the card is revealed
+const STUDY_MODES = {
+    study: { label: 'Study', masked: false },
+    mask: { label: 'Name quiz', masked: true },
+    type: { label: 'Type the name', masked: true, needsNames: true },
+    choice: { label: 'Multiple choice', masked: true, needsNames: true }
+};
+
+// Newest cards.json format this build understands
+// (v1 was a bare array of paths, v2 had one entry per image, v3 groups language variants per card)
+const MANIFEST_VERSION = 3;
+
 // ==================== UTILITY FUNCTIONS ====================
 class Utils {
-    static fisherYatesShuffle(array) {
+    // `random` returns floats in [0, 1); pass Utils.createRandom(seed) for a reproducible order
+    static fisherYatesShuffle(array, random = Math.random) {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [array[i], array[j]] = [array[j], array[i]];
         }
     }
 
-    static setCookie(name, value, days) {
-        const expires = new Date();
-        expires.setTime(expires.getTime() + days * 24 * 60 * 60 * 1000);
-        document.cookie = `${name}=${value};expires=${expires.toUTCString()};path=/`;
+    // Seeded PRNG (mulberry32, with the seed text hashed by FNV-1a): the same seed gives the same
+    // sequence on every device
+    static createRandom(seed) {
+        let state = 2166136261;
+        for (const char of String(seed)) {
+            state = Math.imul(state ^ char.codePointAt(0), 16777619);
+        }
+        return () => {
+            let t = state = (state + 0x6D2B79F5) | 0;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    static createSeed() {
+        return Math.random().toString(36).slice(2, 10);
+    }
+
+    // Verbose tracing, only printed when CONFIG.debug is set
+    static debugLog(...args) {
+        if (CONFIG.debug) {
+            console.log(...args);
+        }
+    }
+
+    // Short SHA-256 hex digest, used to version caches by content
+    static async hashText(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest).slice(0, 8), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    static deleteCookie(name) {
+        document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/`;
     }
 
     static getCookie(name) {
@@ -66,6 +250,247 @@ class Utils {
         return null;
     }
 
+    // Cards of any manifest version as { id, ..., variants: [{ lang, path, ... }] }. The first variant
+    // is the primary language; its path, lang and size are also copied onto the card itself.
+    static normalizeCardManifest(data) {
+        let cards;
+        if (Array.isArray(data)) {
+            // v1: bare array of paths like "avatar_cards/de_00a5e49020.webp"
+            cards = Utils.groupCardVariants(data.map(cardPath => ({ ...Utils.parseCardPath(cardPath), path: cardPath })));
+        } else if (data && Array.isArray(data.cards)) {
+            if (data.version > MANIFEST_VERSION) {
+                console.warn(`[normalizeCardManifest] Manifest version ${data.version} is newer than supported (${MANIFEST_VERSION})`);
+            }
+            cards = data.version >= 3
+                ? data.cards
+                : Utils.groupCardVariants(data.cards.map(card => ({ ...Utils.parseCardPath(card.path), ...card })));
+        } else {
+            throw new Error('Unrecognized card list format.');
+        }
+
+        return cards.map(card => {
+            const { variants, ...fields } = card;
+            const primary = variants[0];
+            return { ...primary, ...fields, name: fields.name || primary.name, variants };
+        });
+    }
+
+    // Pre-v3 manifests list each language image separately; merge images that share a card id
+    static groupCardVariants(entries) {
+        const cards = new Map();
+        for (const { id, ...variant } of entries) {
+            if (!cards.has(id)) {
+                cards.set(id, { id, variants: [] });
+            }
+            cards.get(id).variants.push(variant);
+        }
+        return [...cards.values()];
+    }
+
+    // Variant of a card in `lang`, or the primary one when the card doesn't exist in that language
+    static getCardVariant(card, lang) {
+        return card.variants.find(variant => variant.lang === lang) || card.variants[0];
+    }
+
+    // Name of the smallest resized copy of `variant` at least `minWidth` pixels wide, or 'full' for the
+    // original image (also when the manifest has no resized copies)
+    static getImageSize(variant, minWidth) {
+        const fitting = Object.entries(variant.sizes || {})
+            .filter(([, image]) => image.width >= minWidth)
+            .sort(([, a], [, b]) => a.width - b.width);
+        return fitting.length > 0 ? fitting[0][0] : 'full';
+    }
+
+    static getImagePath(variant, size) {
+        return size === 'full' ? variant.path : variant.sizes[size].path;
+    }
+
+    // Name in `lang` when the metadata has a localized one, else the card's name (may be undefined)
+    static getCardName(card, lang) {
+        return Utils.getCardVariant(card, lang).name || card.name;
+    }
+
+    // Same naming scheme as generate-cards-json.js: "<lang>_<id>.webp"
+    static parseCardPath(cardPath) {
+        const base = cardPath.split('/').pop().replace(/\.[^.]+$/, '');
+        const match = base.match(/^([a-z]{2,3})_(.+)$/i);
+        if (match) {
+            return { id: match[2], lang: match[1].toLowerCase() };
+        }
+        return { id: base, lang: null };
+    }
+
+    // Classify a swipe (screen pixels, +y down) by its dominant axis
+    static getSwipeDirection(dx, dy) {
+        if (Math.hypot(dx, dy) < CONFIG.swipeMinDistance) {
+            return null; // Tap
+        }
+        if (Math.abs(dx) >= Math.abs(dy)) {
+            return dx > 0 ? 'right' : 'left';
+        }
+        return dy > 0 ? 'down' : 'up';
+    }
+
+    // Tilt (degrees) for a card dragged dx pixels; dragging right leans the top clockwise
+    static getDragTilt(dx) {
+        const tilt = -dx * CONFIG.dragTiltPerPixel;
+        return Math.max(-CONFIG.dragMaxTilt, Math.min(CONFIG.dragMaxTilt, tilt));
+    }
+
+    // Average velocity (px/ms) across pointer samples [{ x, y, t }]
+    static getReleaseVelocity(samples) {
+        if (samples.length < 2) {
+            return { x: 0, y: 0 };
+        }
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const dt = last.t - first.t;
+        if (dt <= 0) {
+            return { x: 0, y: 0 };
+        }
+        return { x: (last.x - first.x) / dt, y: (last.y - first.y) / dt };
+    }
+
+    // Full mip chain down to 1x1
+    static getMipLevelCount(width, height) {
+        return Math.floor(Math.log2(Math.max(width, height))) + 1;
+    }
+
+    // Lowercase with accents and punctuation dropped, so "Ärger!" and "arger" compare equal.
+    // With expandUmlauts, ä/ö/ü become ae/oe/ue, the usual spelling without umlaut keys.
+    static normalizeAnswer(text, expandUmlauts = false) {
+        let normalized = text.normalize('NFC').toLowerCase().replace(/ß/g, 'ss');
+        if (expandUmlauts) {
+            normalized = normalized.replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue');
+        }
+        return normalized
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    static levenshtein(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+                current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Fuzzy name check: equal after normalization, or within CONFIG.answerTypoRatio edits per character.
+    // Either face of a double-faced "Front // Back" name is accepted on its own.
+    static checkAnswer(answer, name) {
+        const given = [Utils.normalizeAnswer(answer), Utils.normalizeAnswer(answer, true)];
+        if (!given[0]) {
+            return { correct: false, exact: false };
+        }
+
+        const names = [name, ...(name.includes('//') ? name.split('//') : [])];
+        let best = { correct: false, exact: false };
+        for (const candidate of names) {
+            const expected = [Utils.normalizeAnswer(candidate), Utils.normalizeAnswer(candidate, true)];
+            const distance = Math.min(...given.flatMap(g => expected.map(e => Utils.levenshtein(g, e))));
+            const allowed = Math.floor(expected[0].length * CONFIG.answerTypoRatio);
+            if (distance === 0) {
+                return { correct: true, exact: true };
+            }
+            if (distance <= allowed) {
+                best = { correct: true, exact: false };
+            }
+        }
+        return best;
+    }
+
+    // How alike two cards are by metadata, so multiple-choice distractors aren't trivially wrong
+    static getCardSimilarity(a, b) {
+        let score = 0;
+        const mainType = card => (card.type || '').split(/\s+[—-]\s+/)[0].trim().toLowerCase();
+        if (mainType(a) && mainType(a) === mainType(b)) score += 3;
+        if (a.colors && b.colors) {
+            const shared = a.colors.filter(color => b.colors.includes(color)).length;
+            score += shared;
+            if (shared === a.colors.length && a.colors.length === b.colors.length) score += 2;
+        }
+        if (a.set && a.set === b.set) score += 1;
+        if (a.rarity && a.rarity === b.rarity) score += 1;
+        return score;
+    }
+
+    // Names (in `lang`) of `count` other cards, drawn at random from the ones most similar to `card`
+    static pickDistractors(card, cards, count, lang = null) {
+        const answer = Utils.normalizeAnswer(Utils.getCardName(card, lang));
+        const seen = new Set([answer]);
+        const named = cards.filter(c => Utils.getCardName(c, lang));
+        Utils.fisherYatesShuffle(named);
+
+        const candidates = [];
+        for (const other of named) {
+            const name = Utils.getCardName(other, lang);
+            const key = Utils.normalizeAnswer(name);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            candidates.push({ name, score: Utils.getCardSimilarity(card, other) });
+        }
+
+        // Stable sort keeps the shuffled order among equally similar cards
+        candidates.sort((a, b) => b.score - a.score);
+        const pool = candidates.slice(0, Math.max(count, CONFIG.distractorPoolSize));
+        Utils.fisherYatesShuffle(pool);
+        return pool.slice(0, count).map(candidate => candidate.name);
+    }
+
+    // Zoom { scale, x, y } (pan in CSS pixels from the screen center) rescaled to `scale` so the part
+    // of the card under `from` ends up under `to` (both relative to the screen center)
+    static zoomAt(zoom, scale, from, to = from) {
+        const ratio = scale / zoom.scale;
+        return {
+            scale,
+            x: to.x - (from.x - zoom.x) * ratio,
+            y: to.y - (from.y - zoom.y) * ratio
+        };
+    }
+
+    // Fetch and decode an image. Errors carry `kind` ("network", "http" or "decode") and, for HTTP
+    // errors, `status`, so callers can tell what is worth retrying.
+    static async fetchImageBitmap(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (e) {
+            throw Object.assign(new Error(`Network error: ${e.message}`), { kind: 'network' });
+        }
+        if (!response.ok) {
+            throw Object.assign(new Error(`HTTP ${response.status} ${response.statusText}`.trim()),
+                { kind: 'http', status: response.status });
+        }
+        const blob = await response.blob();
+        try {
+            return await createImageBitmap(blob);
+        } catch (e) {
+            throw Object.assign(new Error(`Could not decode image: ${e.message}`), { kind: 'decode' });
+        }
+    }
+
+    // Missing files (4xx) won't appear by asking again; network, server and decode errors might
+    static isRetryableLoadError(error) {
+        return error.kind !== 'http' || error.status >= 500 || error.status === 408 || error.status === 429;
+    }
+
+    // Save `text` as a file through a temporary download link
+    static downloadFile(fileName, text, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type }));
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
     static easeOutCubic(t) {
         return 1 - Math.pow(1 - t, 3);
     }
@@ -100,582 +525,4893 @@ class Utils {
     }
 }
 
-// ==================== STATE MANAGER ====================
-class StateManager {
-    constructor(totalCards) {
-        this.totalCards = totalCards;
-        this.shuffledIndices = [];
-        this.currentCardIndex = 0;
+// ==================== SCHEDULER ====================
+// SM-2 spaced repetition: each card keeps an ease factor, an interval (days) and a due date
+class Scheduler {
+    static createRecord() {
+        return {
+            ease: CONFIG.initialEase,
+            interval: 0,
+            reps: 0,
+            lapses: 0,
+            due: 0,
+            lastReview: 0
+        };
     }
 
-    load() {
-        const saved = Utils.getCookie(CONFIG.cookieName);
-        if (saved) {
-            try {
-                const state = JSON.parse(saved);
-                this.shuffledIndices = state.indices;
-                this.currentCardIndex = state.current;
+    static review(record, grade, now = Date.now()) {
+        const quality = GRADES[grade];
+        if (quality === undefined) {
+            throw new Error(`Unknown grade: ${grade}`);
+        }
 
-                if (this.shuffledIndices.length !== this.totalCards) {
-                    throw new Error('Invalid saved state');
-                }
-            } catch (e) {
-                this.reset();
-            }
+        const next = { ...(record || Scheduler.createRecord()) };
+
+        if (quality < 3) {
+            // Lapse: start the card over and make it due right away
+            next.reps = 0;
+            next.interval = 0;
+            next.lapses++;
         } else {
-            this.reset();
+            if (next.reps === 0) {
+                next.interval = CONFIG.firstInterval;
+            } else if (next.reps === 1) {
+                next.interval = CONFIG.secondInterval;
+            } else {
+                next.interval = Math.round(next.interval * next.ease);
+            }
+            next.reps++;
         }
+
+        // Standard SM-2 ease update, clamped to the minimum ease
+        const q = 5 - quality;
+        next.ease = Math.max(CONFIG.minEase, next.ease + 0.1 - q * (0.08 + q * 0.02));
+        next.due = now + next.interval * 24 * 60 * 60 * 1000;
+        next.lastReview = now;
+
+        return next;
     }
 
-    save() {
-        const state = {
-            indices: this.shuffledIndices,
-            current: this.currentCardIndex
-        };
-        Utils.setCookie(CONFIG.cookieName, JSON.stringify(state), CONFIG.cookieExpireDays);
+    static isDue(record, now = Date.now()) {
+        return record.due <= now;
     }
 
-    reset() {
-        this.shuffledIndices = Array.from({ length: this.totalCards }, (_, i) => i);
-        Utils.fisherYatesShuffle(this.shuffledIndices);
-        this.currentCardIndex = 0;
-        this.save();
+    // "unseen", "due", "learning" (short interval) or "known"
+    static getStatus(record, now = Date.now()) {
+        if (!record) return 'unseen';
+        if (Scheduler.isDue(record, now)) return 'due';
+        return record.interval < CONFIG.knownIntervalDays ? 'learning' : 'known';
+    }
+}
+
+const CARD_STATUS_LABELS = {
+    unseen: 'Unseen',
+    learning: 'Learning',
+    known: 'Known',
+    due: 'Due'
+};
+
+// ==================== STORAGE ====================
+// Object stores: "session" holds the queue position, "cards" one SM-2 record (with history) per card id,
+// "settings" user preferences such as input bindings, "log" every graded card (see StudyLog)
+const STORE_NAMES = ['session', 'cards', 'settings', 'log'];
+
+class IndexedDbStore {
+    constructor(db) {
+        this.db = db;
     }
 
-    advance() {
-        this.currentCardIndex++;
-        if (this.currentCardIndex >= this.shuffledIndices.length) {
-            return false; // Deck complete
-        }
-        this.save();
-        return true;
+    // A tab still open on an older version blocks an upgrade until it lets go: `onBlocked` is called
+    // meanwhile, and the open keeps waiting. This connection in turn steps aside for newer versions
+    // and calls `onVersionChange` when it does.
+    static open({ onBlocked = null, onVersionChange = null } = {}) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(CONFIG.dbName, CONFIG.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const name of STORE_NAMES) {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name);
+                    }
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => {
+                    db.close();
+                    if (onVersionChange) onVersionChange();
+                };
+                resolve(new IndexedDbStore(db));
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                console.warn('[IndexedDbStore] Upgrade blocked by another tab, waiting');
+                if (onBlocked) onBlocked();
+            };
+        });
+    }
+
+    // Run one request in its own transaction and resolve once the transaction has committed
+    request(storeName, mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, mode);
+            const request = makeRequest(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
     }
 
-    getCurrentCardPath(cards) {
-        return cards[this.shuffledIndices[this.currentCardIndex]];
+    get(storeName, key) {
+        return this.request(storeName, 'readonly', store => store.get(key));
     }
 
-    getStackCardPath(cards, offset) {
-        const idx = this.currentCardIndex + offset;
-        if (idx < this.shuffledIndices.length) {
-            return cards[this.shuffledIndices[idx]];
-        }
-        return null;
+    put(storeName, key, value) {
+        return this.request(storeName, 'readwrite', store => store.put(value, key));
     }
 
-    getRemainingCards() {
-        return this.shuffledIndices.length - this.currentCardIndex;
+    delete(storeName, key) {
+        return this.request(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    clear(storeName) {
+        return this.request(storeName, 'readwrite', store => store.clear());
+    }
+
+    // All entries of a store as a plain { key: value } object
+    getAll(storeName) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, 'readonly');
+            const store = tx.objectStore(storeName);
+            const keys = store.getAllKeys();
+            const values = store.getAll();
+            tx.oncomplete = () => resolve(Object.fromEntries(keys.result.map((key, i) => [key, values.result[i]])));
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    putAll(storeName, entries) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            for (const [key, value] of Object.entries(entries)) {
+                store.put(value, key);
+            }
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
     }
 }
 
-// ==================== MAIN APPLICATION ====================
-// Card Study Application with WebGPU
-class CardStudyApp {
-    constructor() {
-        this.canvas = document.getElementById('cardCanvas');
-        this.loadingEl = document.getElementById('loading');
-        this.errorEl = document.getElementById('error');
+// Same interface as IndexedDbStore, one JSON object per store
+class LocalStorageStore {
+    key(storeName) {
+        return CONFIG.localStoragePrefix + storeName;
+    }
 
-        this.cards = [];
-        this.stateManager = null;
-        this.isAnimating = false;
-        this.animationProgress = 0;
-        this.throwDirection = { x: 0, y: 0 };
-        this.throwRotation = 0;
+    read(storeName) {
+        const saved = localStorage.getItem(this.key(storeName));
+        return saved ? JSON.parse(saved) : {};
+    }
 
-        // Card dimensions in mm
-        this.cardWidthMM = CONFIG.cardWidthMM;
-        this.cardHeightMM = CONFIG.cardHeightMM;
+    write(storeName, entries) {
+        localStorage.setItem(this.key(storeName), JSON.stringify(entries));
+    }
 
-        // Stack effect properties
-        this.cardRotations = []; // Random rotations for cards in stack
-        this.cardOffsets = []; // Random offsets for cards in stack
-        this.cardDarkenFactors = []; // Previous darken factors for animating brightness changes
-        this.currentCardInitialRotation = 0; // Initial rotation when card becomes current
-        this.currentCardInitialOffset = { x: 0, y: 0 }; // Initial offset when card becomes current
-        this.isSettling = false; // Whether current card is settling into position
-        this.settleProgress = 1.0; // Progress of settle animation (0 to 1)
+    async get(storeName, key) {
+        return this.read(storeName)[key];
+    }
 
-        // Snapshots of stack arrays during settle animation (prevents race condition)
-        this.settleStackRotations = [];
-        this.settleStackOffsets = [];
-        this.settleStackDarkenFactors = [];
-        this.isLoadingStackCard = false; // Flag to prevent concurrent array modifications
+    async put(storeName, key, value) {
+        const entries = this.read(storeName);
+        entries[key] = value;
+        this.write(storeName, entries);
+    }
 
-        // WebGPU resources
-        this.device = null;
-        this.context = null;
-        this.pipeline = null;
-        this.textureCache = new Map();
-        this.currentTexture = null;
-        this.nextTextures = [];
+    async delete(storeName, key) {
+        const entries = this.read(storeName);
+        delete entries[key];
+        this.write(storeName, entries);
+    }
 
-        this.init();
+    async clear(storeName) {
+        localStorage.removeItem(this.key(storeName));
     }
 
-    async init() {
-        try {
-            await this.checkWebGPU();
-            await this.loadCardList();
+    async getAll(storeName) {
+        return this.read(storeName);
+    }
 
-            this.stateManager = new StateManager(this.cards.length);
-            this.stateManager.load();
+    async putAll(storeName, entries) {
+        this.write(storeName, { ...this.read(storeName), ...entries });
+    }
+}
 
-            await this.initWebGPU();
-            await this.setupCanvas();
-            await this.loadCurrentCards();
-            this.setupEventListeners();
-            this.loadingEl.style.display = 'none';
-            this.render();
-        } catch (error) {
-            this.showError(error.message);
+class ProgressStore {
+    // IndexedDB when available, otherwise localStorage (e.g. private browsing modes that block IndexedDB)
+    static async open(callbacks = {}) {
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                return await IndexedDbStore.open(callbacks);
+            } catch (e) {
+                console.warn('[ProgressStore] IndexedDB unavailable, falling back to localStorage:', e);
+            }
         }
+        return new LocalStorageStore();
     }
+}
 
-    async checkWebGPU() {
-        if (!navigator.gpu) {
-            throw new Error('WebGPU is not supported in your browser. Please use Chrome/Edge 113+ or another WebGPU-capable browser.');
+// ==================== DECKS ====================
+// The built-in deck of every card in cards.json; custom decks are stored in the settings store
+const DEFAULT_DECK_ID = 'all';
+
+// Metadata a custom deck can filter on. A card matches a filter when, for every field with values
+// selected, it has at least one of them.
+const DECK_FILTERS = {
+    langs: { label: 'Languages', getValues: card => card.variants.map(variant => variant.lang).filter(Boolean) },
+    colors: {
+        label: 'Colors',
+        getValues: (card) => {
+            if (!card.colors) return [];
+            return card.colors.length > 0 ? card.colors : ['C']; // Known to be colorless
         }
+    },
+    sets: { label: 'Sets', getValues: card => (card.set ? [card.set] : []) },
+    rarities: { label: 'Rarities', getValues: card => (card.rarity ? [card.rarity] : []) }
+};
+
+// Shared deck files: { format, version, name, filter, cardIds }
+const DECK_FILE_FORMAT = 'cardStudyDeck';
+const DECK_FILE_VERSION = 1;
+
+// Named decks: { id, name, filter: { langs: [...], ... }, cardIds: [...] }. A deck holds its
+// hand-picked cards plus, when it has a filter, every card matching the filter.
+class DeckLibrary {
+    constructor(store) {
+        this.store = store;
+        this.decks = [];
     }
 
-    async loadCardList() {
-        // Load the list of all card files
-        const response = await fetch('cards.json');
-        if (!response.ok) {
-            throw new Error('Failed to load card list. Please ensure cards.json exists.');
+    async load() {
+        try {
+            this.decks = (await this.store.get('settings', 'decks')) || [];
+        } catch (e) {
+            console.warn('[DeckLibrary] Could not load decks:', e);
         }
-        this.cards = await response.json();
+    }
 
-        if (this.cards.length === 0) {
-            throw new Error('No cards found in the card list.');
-        }
+    save() {
+        this.store.put('settings', 'decks', this.decks)
+            .catch(e => console.warn('[DeckLibrary] Could not save decks:', e));
     }
 
-    async initWebGPU() {
-        const adapter = await navigator.gpu.requestAdapter();
-        if (!adapter) {
-            throw new Error('Failed to get WebGPU adapter');
-        }
+    get(id) {
+        return this.decks.find(deck => deck.id === id) || null;
+    }
 
-        this.device = await adapter.requestDevice();
-        this.context = this.canvas.getContext('webgpu');
+    add({ name, filter = {}, cardIds = [] }) {
+        const deck = { id: `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name, filter, cardIds };
+        this.decks.push(deck);
+        this.save();
+        return deck;
+    }
 
-        const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
-        this.context.configure({
-            device: this.device,
-            format: presentationFormat,
-            alphaMode: 'premultiplied',
-        });
+    remove(id) {
+        this.decks = this.decks.filter(deck => deck.id !== id);
+        this.save();
+        // Its queue would never be used again
+        this.store.delete('session', `deck:${id}`)
+            .catch(e => console.warn('[DeckLibrary] Could not delete deck session:', e));
+    }
 
-        // Create depth texture for depth testing
-        this.depthTexture = this.device.createTexture({
-            size: [this.canvas.width, this.canvas.height],
-            format: 'depth32float',
-            usage: GPUTextureUsage.RENDER_ATTACHMENT,
-        });
+    addCard(id, cardId) {
+        const deck = this.get(id);
+        if (deck && !deck.cardIds.includes(cardId)) {
+            deck.cardIds.push(cardId);
+            this.save();
+        }
+    }
 
-        await this.createPipeline(presentationFormat);
+    static hasFilter(filter) {
+        return Object.values(filter || {}).some(values => values.length > 0);
     }
 
-    async createPipeline(format) {
-        const shaderCode = `
-            struct VertexOutput {
+    static matchesFilter(filter, card) {
+        return Object.entries(filter).every(([key, selected]) =>
+            selected.length === 0 || DECK_FILTERS[key].getValues(card).some(value => selected.includes(value)));
+    }
+
+    // Indices into `cards` of the cards a deck studies (all cards for the default deck)
+    static getCardIndices(deck, cards) {
+        if (!deck) {
+            return cards.map((_, index) => index);
+        }
+        const picked = new Set(deck.cardIds);
+        const useFilter = DeckLibrary.hasFilter(deck.filter);
+        const indices = [];
+        cards.forEach((card, index) => {
+            if (picked.has(card.id) || (useFilter && DeckLibrary.matchesFilter(deck.filter, card))) {
+                indices.push(index);
+            }
+        });
+        return indices;
+    }
+
+    static toFile(deck) {
+        return JSON.stringify({
+            format: DECK_FILE_FORMAT,
+            version: DECK_FILE_VERSION,
+            name: deck.name,
+            filter: deck.filter,
+            cardIds: deck.cardIds
+        }, null, 2);
+    }
+
+    // Validated { name, filter, cardIds } from a shared deck file; throws on anything else
+    static fromFile(text) {
+        const data = JSON.parse(text);
+        if (!data || data.format !== DECK_FILE_FORMAT) {
+            throw new Error('Not a deck file.');
+        }
+        if (data.version > DECK_FILE_VERSION) {
+            throw new Error(`Deck file version ${data.version} is newer than this app supports.`);
+        }
+
+        const filter = {};
+        for (const key of Object.keys(DECK_FILTERS)) {
+            const values = data.filter && data.filter[key];
+            if (Array.isArray(values)) {
+                filter[key] = values.map(String);
+            }
+        }
+        const cardIds = Array.isArray(data.cardIds) ? data.cardIds.map(String) : [];
+        const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported deck';
+        return { name, filter, cardIds };
+    }
+}
+
+// Dialog to create, import, export and delete decks, and to add the current card to a deck
+class DeckDialog {
+    constructor(library, app) {
+        this.library = library;
+        this.app = app;
+        this.dialog = document.getElementById('deckDialog');
+        this.list = document.getElementById('deckList');
+        this.form = document.getElementById('deckForm');
+        this.nameInput = document.getElementById('deckNameInput');
+        this.filterOptions = document.getElementById('deckFilterOptions');
+        this.matchCount = document.getElementById('deckMatchCount');
+        this.importInput = document.getElementById('importDeckInput');
+
+        this.buildFilterOptions();
+        this.form.addEventListener('input', () => this.updateMatchCount());
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createDeck();
+        });
+        document.getElementById('importDeckButton').addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', () => this.importDeck());
+    }
+
+    open() {
+        this.renderList();
+        this.updateMatchCount();
+        this.dialog.showModal();
+    }
+
+    // A checkbox group per filter field that has values in this manifest
+    buildFilterOptions() {
+        for (const [key, { label, getValues }] of Object.entries(DECK_FILTERS)) {
+            const values = [...new Set(this.app.cards.flatMap(getValues))].sort();
+            if (values.length === 0) continue;
+
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = label;
+            fieldset.appendChild(legend);
+            for (const value of values) {
+                const option = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.name = key;
+                checkbox.value = value;
+                option.append(checkbox, ` ${key === 'langs' ? this.app.getLanguageLabel(value) : value}`);
+                fieldset.appendChild(option);
+            }
+            this.filterOptions.appendChild(fieldset);
+        }
+    }
+
+    readFilter() {
+        const filter = {};
+        for (const key of Object.keys(DECK_FILTERS)) {
+            filter[key] = [...this.form.querySelectorAll(`input[name="${key}"]:checked`)].map(input => input.value);
+        }
+        return filter;
+    }
+
+    updateMatchCount() {
+        const filter = this.readFilter();
+        if (!DeckLibrary.hasFilter(filter)) {
+            this.matchCount.textContent = 'No filter: add cards by hand with "Add current card".';
+            return;
+        }
+        const count = DeckLibrary.getCardIndices({ filter, cardIds: [] }, this.app.cards).length;
+        this.matchCount.textContent = `${count} cards match`;
+    }
+
+    renderList() {
+        this.list.replaceChildren();
+        const currentCard = this.app.cardsByPath.get(this.app.currentCard.path);
+
+        for (const deck of this.library.decks) {
+            const count = DeckLibrary.getCardIndices(deck, this.app.cards).length;
+            const item = document.createElement('li');
+            const title = document.createElement('span');
+            title.textContent = `${deck.name} (${count})`;
+            item.appendChild(title);
+
+            const addButton = (label, onClick, disabled = false) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = label;
+                button.disabled = disabled;
+                button.setAttribute('aria-label', `${label}: ${deck.name}`);
+                button.addEventListener('click', onClick);
+                item.appendChild(button);
+            };
+
+            addButton('Study', () => {
+                this.dialog.close();
+                this.app.switchDeck(deck.id);
+            }, count === 0);
+            addButton('Add current card', () => {
+                this.library.addCard(deck.id, currentCard.id);
+                this.renderList();
+                this.app.updateDeckSelect();
+            }, deck.cardIds.includes(currentCard.id));
+            addButton('Export', () => this.exportDeck(deck));
+            addButton('Delete', () => {
+                if (!confirm(`Delete the deck "${deck.name}"?`)) return;
+                this.library.remove(deck.id);
+                if (this.app.activeDeckId === deck.id) {
+                    this.app.switchDeck(DEFAULT_DECK_ID);
+                }
+                this.renderList();
+                this.app.updateDeckSelect();
+            });
+            this.list.appendChild(item);
+        }
+    }
+
+    createDeck() {
+        const name = this.nameInput.value.trim();
+        if (!name) return;
+        this.library.add({ name, filter: this.readFilter(), cardIds: [] });
+        this.form.reset();
+        this.updateMatchCount();
+        this.renderList();
+        this.app.updateDeckSelect();
+    }
+
+    exportDeck(deck) {
+        const fileName = `${deck.name.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'deck'}.deck.json`;
+        Utils.downloadFile(fileName, DeckLibrary.toFile(deck), 'application/json');
+    }
+
+    async importDeck() {
+        const file = this.importInput.files[0];
+        this.importInput.value = '';
+        if (!file) return;
+
+        try {
+            const deck = DeckLibrary.fromFile(await file.text());
+            const known = new Set(this.app.cards.map(card => card.id));
+            const missing = deck.cardIds.filter(id => !known.has(id)).length;
+            this.library.add(deck);
+            this.renderList();
+            this.app.updateDeckSelect();
+            if (missing > 0) {
+                alert(`Imported "${deck.name}". ${missing} of its cards are not in this app's card list and will be left out.`);
+            }
+        } catch (e) {
+            console.warn('[DeckDialog] Import failed:', e);
+            alert(`Could not import deck: ${e.message}`);
+        }
+    }
+}
+
+// ==================== SHARE LINKS ====================
+// "?seed=…&deck=…&mode=…&card=…", every parameter optional:
+//   seed - study the deck in this shuffled order, the same on every device, instead of by schedule
+//   deck - which cards: DECK_FILTERS values and hand-picked ids, e.g. "colors:R,G;sets:TLA;cards:<id>,<id>"
+//          (each key and value percent-encoded)
+//   mode - a STUDY_MODES key
+//   card - id of the card to put on top
+// A link with a seed or deck opens the "Shared link" deck, which keeps its own queue.
+const LINK_DECK_ID = 'link';
+const LINK_PARAMS = ['seed', 'deck', 'mode', 'card'];
+
+class ShareLink {
+    // { seed, deck: { filter, cardIds }, mode, cardId } with null for anything absent, or null for no link
+    static parse(search) {
+        const params = new URLSearchParams(search);
+        const mode = params.get('mode');
+        const link = {
+            seed: params.get('seed') || null,
+            deck: params.get('deck') ? ShareLink.parseDeck(params.get('deck')) : null,
+            mode: STUDY_MODES[mode] ? mode : null,
+            cardId: params.get('card') || null
+        };
+        return Object.values(link).some(value => value !== null) ? link : null;
+    }
+
+    // Unknown filter fields are ignored
+    static parseDeck(text) {
+        const deck = { filter: {}, cardIds: [] };
+        for (const part of text.split(';')) {
+            const separator = part.indexOf(':');
+            const key = ShareLink.decode(separator === -1 ? part : part.slice(0, separator));
+            const values = separator === -1 ? '' : part.slice(separator + 1);
+            const list = values.split(',').filter(Boolean).map(ShareLink.decode);
+            if (key === 'cards') {
+                deck.cardIds.push(...list);
+            } else if (DECK_FILTERS[key]) {
+                deck.filter[key] = list;
+            }
+        }
+        return deck;
+    }
+
+    // Keys and values are percent-encoded, so ",", ":" and ";" inside a set or type name survive
+    static formatDeck({ filter = {}, cardIds = [] }) {
+        const encodeList = values => values.map(value => encodeURIComponent(value)).join(',');
+        const parts = Object.entries(filter)
+            .filter(([, values]) => values.length > 0)
+            .map(([key, values]) => `${encodeURIComponent(key)}:${encodeList(values)}`);
+        if (cardIds.length > 0) {
+            parts.push(`cards:${encodeList(cardIds)}`);
+        }
+        return parts.join(';');
+    }
+
+    // Malformed escapes (a hand-edited link) are kept as typed
+    static decode(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (e) {
+            return text;
+        }
+    }
+
+    // `url` with the link's parameters in place of any it had (other parameters are kept)
+    static toUrl(link, url = window.location.href) {
+        const result = new URL(url);
+        for (const name of LINK_PARAMS) {
+            result.searchParams.delete(name);
+        }
+        const deck = link.deck ? ShareLink.formatDeck(link.deck) : '';
+        if (link.seed) result.searchParams.set('seed', link.seed);
+        if (deck) result.searchParams.set('deck', deck);
+        if (link.mode) result.searchParams.set('mode', link.mode);
+        if (link.cardId) result.searchParams.set('card', link.cardId);
+        return result.toString();
+    }
+}
+
+// ==================== STATE MANAGER ====================
+// Card records are shared by all decks (a card is known or not, whichever deck it came up in);
+// the queue and position are kept per deck.
+class StateManager {
+    constructor(cardIds, store, {
+        deckId = DEFAULT_DECK_ID, cardIndices = null, skippedCardIds = new Set(), seed = null, linkDeck = null
+    } = {}) {
+        this.cardIds = cardIds; // Manifest id per card index (records survive cards.json changes)
+        this.totalCards = cardIds.length;
+        this.store = store;
+        this.deckCardIndices = cardIndices || cardIds.map((_, index) => index); // Cards this deck studies
+        this.sessionKey = deckId === DEFAULT_DECK_ID ? 'state' : `deck:${deckId}`;
+        this.skippedCardIds = skippedCardIds; // Cards that can't be shown (broken images), left out of queues
+        this.seed = seed; // Seeded sessions (shared links) go through the whole deck in one reproducible order
+        this.linkDeck = linkDeck || null; // A shared link's deck parameter: every link shares one session key
+        this.queue = []; // Card indices scheduled for this pass, current card at currentCardIndex
+        this.currentCardIndex = 0;
+        this.records = {}; // SM-2 record (plus review history) per card id
+
+        // Navigation history (in memory only): each throw can be undone, each undo redone
+        this.undoStack = []; // { queue, position, cardId, previousRecord, grade, meta }
+        this.redoStack = []; // { grade, meta }
+
+        this.onSave = null; // Called once a save has been written (e.g. to tell other tabs)
+        this.canSave = () => true; // False while nothing may be written (a tab following another tab's session)
+    }
+
+    async load() {
+        if (this.canSave()) {
+            await this.migrateLegacyProgress();
+        }
+
+        try {
+            this.records = await this.store.getAll('cards');
+            const state = await this.store.get('session', this.sessionKey);
+            if (!state) {
+                this.reset();
+                return;
+            }
+
+            this.queue = state.queue;
+            this.currentCardIndex = state.current;
+
+            // The deck's filter (or a link's seed or deck) may have changed since; such a queue is rebuilt
+            const inDeck = new Set(this.deckCardIndices);
+            const isValid = (state.seed || null) === this.seed && (state.linkDeck || null) === this.linkDeck &&
+                Array.isArray(this.queue) &&
+                this.queue.every(i => Number.isInteger(i) && inDeck.has(i)) &&
+                this.currentCardIndex < this.queue.length;
+            if (!isValid) {
+                throw new Error('Invalid saved state');
+            }
+            for (const index of new Set(this.queue.slice(this.currentCardIndex))) {
+                if (this.skippedCardIds.has(this.cardIds[index])) {
+                    this.skipCard(index);
+                }
+            }
+        } catch (e) {
+            console.warn('[StateManager] Could not restore saved state, starting a new queue:', e);
+            this.reset();
+        }
+    }
+
+    // Move progress from the old cookie into the store, then clear the cookie
+    async migrateLegacyProgress() {
+        const cookie = Utils.getCookie(CONFIG.legacyCookieName);
+        if (cookie) {
+            try {
+                const state = JSON.parse(cookie);
+                if (!(await this.store.get('session', 'state'))) {
+                    // The oldest saves stored the full shuffled deck as "indices"
+                    await this.store.put('session', 'state', {
+                        queue: state.queue || state.indices,
+                        current: state.current
+                    });
+                }
+                console.log('[StateManager] Migrated progress cookie');
+            } catch (e) {
+                console.warn('[StateManager] Dropping unreadable progress cookie:', e);
+            }
+            Utils.deleteCookie(CONFIG.legacyCookieName);
+        }
+    }
+
+    save() {
+        if (!this.canSave()) {
+            return;
+        }
+        const state = {
+            queue: this.queue,
+            current: this.currentCardIndex,
+            seed: this.seed,
+            linkDeck: this.linkDeck,
+            updated: Date.now() // The newer queue wins when progress from two devices is merged
+        };
+        this.store.put('session', this.sessionKey, state)
+            .then(() => this.onSave && this.onSave())
+            .catch(e => console.warn('[StateManager] Could not save session:', e));
+    }
+
+    saveCard(id) {
+        if (!this.canSave()) {
+            return;
+        }
+        const write = this.records[id]
+            ? this.store.put('cards', id, this.records[id])
+            : this.store.delete('cards', id);
+        write.catch(e => console.warn(`[StateManager] Could not save card ${id}:`, e));
+    }
+
+    reset() {
+        this.queue = this.buildQueue();
+        this.currentCardIndex = 0;
+        this.save();
+    }
+
+    buildQueue(now = Date.now()) {
+        // Shuffled before broken cards are dropped, so they don't change the order of the others
+        if (this.seed !== null) {
+            const order = [...this.deckCardIndices];
+            Utils.fisherYatesShuffle(order, Utils.createRandom(this.seed));
+            return order.filter(index => !this.skippedCardIds.has(this.cardIds[index]));
+        }
+
+        const due = [];
+        const fresh = [];
+        const upcoming = [];
+
+        this.deckCardIndices.forEach(index => {
+            if (this.skippedCardIds.has(this.cardIds[index])) {
+                return;
+            }
+            const record = this.records[this.cardIds[index]];
+            if (!record) {
+                fresh.push(index);
+            } else if (Scheduler.isDue(record, now)) {
+                due.push(index);
+            } else {
+                upcoming.push(index);
+            }
+        });
+
+        // Most overdue first, then a shuffled batch of unseen cards
+        const byDue = (a, b) => this.records[this.cardIds[a]].due - this.records[this.cardIds[b]].due;
+        due.sort(byDue);
+        Utils.fisherYatesShuffle(fresh);
+
+        const queue = [...due, ...fresh.slice(0, CONFIG.newCardsPerQueue)];
+
+        // Nothing (or too little) is due: study ahead with the cards that come due soonest
+        if (queue.length < CONFIG.minQueueLength) {
+            upcoming.sort(byDue);
+            const needed = Math.min(CONFIG.minQueueLength, this.deckCardIndices.length) - queue.length;
+            queue.push(...upcoming.slice(0, needed));
+        }
+
+        return queue;
+    }
+
+    // Grade the current card and move on. `meta` is kept with the history entry for the caller
+    // (e.g. where the card was thrown); a fresh advance invalidates anything that could be redone.
+    advance(grade = CONFIG.defaultGrade, meta = null, { isRedo = false } = {}) {
+        const cardIndex = this.queue[this.currentCardIndex];
+        const id = this.cardIds[cardIndex];
+        const now = Date.now();
+
+        this.undoStack.push({
+            queue: [...this.queue],
+            position: this.currentCardIndex,
+            cardId: id,
+            previousRecord: this.records[id],
+            grade,
+            meta
+        });
+        if (this.undoStack.length > CONFIG.historyLimit) {
+            this.undoStack.shift();
+        }
+        if (!isRedo) {
+            this.redoStack = [];
+        }
+
+        const record = Scheduler.review(this.records[id], grade, now);
+        record.history = [...(record.history || []), { t: now, grade }];
+        this.records[id] = record;
+        this.saveCard(id);
+
+        // Missed cards come back later in this pass, beyond the already-preloaded stack
+        if (this.records[id].interval === 0) {
+            const insertAt = Math.min(this.currentCardIndex + CONFIG.relearnQueueGap, this.queue.length);
+            this.queue.splice(insertAt, 0, cardIndex);
+        }
+
+        this.currentCardIndex++;
+        if (this.currentCardIndex >= this.queue.length) {
+            return false; // Queue complete
+        }
+        this.save();
+        return true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Put the previously thrown card back on top, restoring its record and the queue as it was.
+    // Returns the entry's meta, or false when there is nothing to undo.
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            return false;
+        }
+
+        this.queue = entry.queue;
+        this.currentCardIndex = entry.position;
+        if (entry.previousRecord) {
+            this.records[entry.cardId] = entry.previousRecord;
+        } else {
+            delete this.records[entry.cardId];
+        }
+        this.saveCard(entry.cardId);
+        this.save();
+
+        this.redoStack.push({ grade: entry.grade, meta: entry.meta });
+        return entry.meta || null;
+    }
+
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    // Re-apply the most recently undone grade; same return value as advance()
+    redo() {
+        const entry = this.redoStack.pop();
+        return this.advance(entry.grade, entry.meta, { isRedo: true });
+    }
+
+    getCardStatus(cardIndex, now = Date.now()) {
+        return Scheduler.getStatus(this.records[this.cardIds[cardIndex]], now);
+    }
+
+    // Put a card on top of the queue (e.g. picked in the gallery); later copies of it are dropped
+    studyNow(cardIndex) {
+        const upcoming = this.queue.slice(this.currentCardIndex).filter(index => index !== cardIndex);
+        this.queue = [...this.queue.slice(0, this.currentCardIndex), cardIndex, ...upcoming];
+        this.save();
+    }
+
+    // Take a card out of the rest of the queue (it is in skippedCardIds and can't be shown).
+    // A queue left empty is rebuilt, which may still come up empty when every card is skipped.
+    skipCard(cardIndex) {
+        const upcoming = this.queue.slice(this.currentCardIndex).filter(index => index !== cardIndex);
+        this.queue = [...this.queue.slice(0, this.currentCardIndex), ...upcoming];
+        if (upcoming.length === 0) {
+            this.reset();
+        } else {
+            this.save();
+        }
+    }
+
+    getCurrentCard(cards) {
+        return cards[this.queue[this.currentCardIndex]];
+    }
+
+    getStackCard(cards, offset) {
+        const idx = this.currentCardIndex + offset;
+        if (idx < this.queue.length) {
+            return cards[this.queue[idx]];
+        }
+        return null;
+    }
+
+    getRemainingCards() {
+        return this.queue.length - this.currentCardIndex;
+    }
+}
+
+// ==================== STUDY LOG ====================
+// Every graded card as { key, cardId, t, timeOnCard, grade, mode, deck, lang } in the "log" store,
+// for the stats screen and for analysis outside the app. Undoing a throw removes its entry again.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LOG_CSV_COLUMNS = ['time', 'cardId', 'name', 'grade', 'correct', 'timeOnCardMs', 'mode', 'deck', 'lang'];
+
+class StudyLog {
+    constructor(store) {
+        this.store = store;
+    }
+
+    // Keys sort by time, so the store hands entries back in order
+    static createEntry({ cardId, shownAt, grade, mode, deck, lang }, now = Date.now()) {
+        return {
+            key: `${String(now).padStart(15, '0')}-${Math.random().toString(36).slice(2, 6)}`,
+            cardId,
+            t: now,
+            timeOnCard: Math.max(0, now - shownAt),
+            grade,
+            mode,
+            deck,
+            lang
+        };
+    }
+
+    add(entry) {
+        this.store.put('log', entry.key, entry)
+            .catch(e => console.warn('[StudyLog] Could not save log entry:', e));
+    }
+
+    remove(key) {
+        this.store.delete('log', key)
+            .catch(e => console.warn('[StudyLog] Could not remove log entry:', e));
+    }
+
+    async getAll() {
+        const entries = Object.values(await this.store.getAll('log'));
+        return entries.sort((a, b) => a.t - b.t);
+    }
+
+    // `getName` maps a card id to its name (or '') for the name column
+    static toCsv(entries, getName) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = entries.map(entry => [
+            new Date(entry.t).toISOString(),
+            entry.cardId,
+            getName(entry.cardId),
+            entry.grade,
+            StudyStats.isCorrect(entry) ? 1 : 0,
+            entry.timeOnCard,
+            entry.mode,
+            entry.deck,
+            entry.lang
+        ].map(escape).join(','));
+        return [LOG_CSV_COLUMNS.join(','), ...rows].join('\n');
+    }
+
+    static toJson(entries) {
+        return JSON.stringify({ exported: new Date().toISOString(), entries }, null, 2);
+    }
+}
+
+// Aggregates for the stats screen. Days are local calendar days, numbered since the epoch.
+class StudyStats {
+    static isCorrect(entry) {
+        return entry.grade !== 'again';
+    }
+
+    static getDay(t) {
+        return Math.floor((t - new Date(t).getTimezoneOffset() * 60 * 1000) / DAY_MS);
+    }
+
+    // Reviews split wherever the user paused for longer than statsSessionGapMinutes
+    static getSessions(entries) {
+        const sessions = [];
+        let session = null;
+        for (const entry of entries) {
+            if (!session || entry.t - session.end > CONFIG.statsSessionGapMinutes * 60 * 1000) {
+                session = { start: entry.t, end: entry.t, count: 0, correct: 0 };
+                sessions.push(session);
+            }
+            session.end = entry.t;
+            session.count++;
+            session.correct += StudyStats.isCorrect(entry) ? 1 : 0;
+        }
+        return sessions;
+    }
+
+    // One { day, count, correct } per day of the last `days` days, oldest first
+    static getDailyCounts(entries, days, now = Date.now()) {
+        const today = StudyStats.getDay(now);
+        const counts = Array.from({ length: days }, (_, i) => ({ day: today - days + 1 + i, count: 0, correct: 0 }));
+        for (const entry of entries) {
+            const slot = counts[StudyStats.getDay(entry.t) - (today - days + 1)];
+            if (slot) {
+                slot.count++;
+                slot.correct += StudyStats.isCorrect(entry) ? 1 : 0;
+            }
+        }
+        return counts;
+    }
+
+    // Consecutive days with at least one review; today not being done yet doesn't break the streak
+    static getStreaks(entries, now = Date.now()) {
+        const days = [...new Set(entries.map(entry => StudyStats.getDay(entry.t)))].sort((a, b) => a - b);
+        let longest = 0;
+        let run = 0;
+        days.forEach((day, i) => {
+            run = i > 0 && day === days[i - 1] + 1 ? run + 1 : 1;
+            longest = Math.max(longest, run);
+        });
+
+        const studied = new Set(days);
+        let day = StudyStats.getDay(now);
+        if (!studied.has(day)) day--;
+        let current = 0;
+        while (studied.has(day)) {
+            current++;
+            day--;
+        }
+        return { current, longest };
+    }
+
+    // Cards missed most often relative to how often they were reviewed
+    static getHardestCards(entries, count) {
+        const byCard = new Map();
+        for (const entry of entries) {
+            const stats = byCard.get(entry.cardId) || { cardId: entry.cardId, reviews: 0, misses: 0 };
+            stats.reviews++;
+            stats.misses += StudyStats.isCorrect(entry) ? 0 : 1;
+            byCard.set(entry.cardId, stats);
+        }
+        return [...byCard.values()]
+            .filter(stats => stats.misses > 0)
+            .sort((a, b) => b.misses / b.reviews - a.misses / a.reviews || b.misses - a.misses)
+            .slice(0, count);
+    }
+
+    // Reviews coming due on each of the next `days` days (from the SM-2 records); overdue cards count today
+    static getForecast(records, days, now = Date.now()) {
+        const today = StudyStats.getDay(now);
+        const forecast = Array.from({ length: days }, (_, i) => ({ day: today + i, count: 0 }));
+        for (const record of Object.values(records)) {
+            const offset = Math.max(0, StudyStats.getDay(record.due) - today);
+            if (offset < days) {
+                forecast[offset].count++;
+            }
+        }
+        return forecast;
+    }
+}
+
+class StatsDialog {
+    constructor(log, app) {
+        this.log = log;
+        this.app = app;
+        this.dialog = document.getElementById('statsDialog');
+        this.content = document.getElementById('statsContent');
+        this.entries = [];
+
+        document.getElementById('statsButton').addEventListener('click', () => this.open());
+        document.getElementById('exportLogCsvButton').addEventListener('click', () => this.exportLog('csv'));
+        document.getElementById('exportLogJsonButton').addEventListener('click', () => this.exportLog('json'));
+    }
+
+    async open() {
+        try {
+            this.entries = await this.log.getAll();
+        } catch (e) {
+            console.warn('[StatsDialog] Could not read study log:', e);
+            this.entries = [];
+        }
+        this.render();
+        this.dialog.showModal();
+    }
+
+    getCardName(cardId) {
+        const card = this.app.cards.find(candidate => candidate.id === cardId);
+        return (card && Utils.getCardName(card, this.app.studyLang)) || '';
+    }
+
+    render() {
+        const now = Date.now();
+        const entries = this.entries;
+        this.content.replaceChildren();
+
+        if (entries.length === 0) {
+            this.addParagraph('No reviews yet. Grade a few cards and come back.', 'hint');
+            this.addChart('Due in the next days', StudyStats.getForecast(this.app.stateManager.records, CONFIG.statsForecastDays, now)
+                .map(({ day, count }) => ({ label: StatsDialog.dayLabel(day, now), value: count })));
+            return;
+        }
+
+        const sessions = StudyStats.getSessions(entries);
+        const streaks = StudyStats.getStreaks(entries, now);
+        const correct = entries.filter(StudyStats.isCorrect).length;
+        const summary = document.createElement('dl');
+        summary.className = 'stats-summary';
+        for (const [term, value] of [
+            ['Reviews', entries.length],
+            ['Accuracy', `${Math.round((correct / entries.length) * 100)}%`],
+            ['Sessions', sessions.length],
+            ['Cards per session', (entries.length / sessions.length).toFixed(1)],
+            ['Current streak', `${streaks.current} ${streaks.current === 1 ? 'day' : 'days'}`],
+            ['Longest streak', `${streaks.longest} ${streaks.longest === 1 ? 'day' : 'days'}`]
+        ]) {
+            const dt = document.createElement('dt');
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            summary.append(dt, dd);
+        }
+        this.content.appendChild(summary);
+
+        const daily = StudyStats.getDailyCounts(entries, CONFIG.statsHistoryDays, now);
+        this.addChart('Reviews per day', daily.map(({ day, count }) => ({ label: StatsDialog.dayLabel(day, now), value: count })));
+        this.addChart('Accuracy per day', daily.map(({ day, count, correct: right }) => ({
+            label: StatsDialog.dayLabel(day, now),
+            value: count > 0 ? Math.round((right / count) * 100) : 0,
+            suffix: '%'
+        })), 100);
+        this.addChart('Cards per session', sessions.slice(-CONFIG.statsHistoryDays).map(session => ({
+            label: new Date(session.start).toLocaleString(),
+            value: session.count
+        })));
+        this.addChart('Due in the next days', StudyStats.getForecast(this.app.stateManager.records, CONFIG.statsForecastDays, now)
+            .map(({ day, count }) => ({ label: StatsDialog.dayLabel(day, now), value: count })));
+
+        const hardest = StudyStats.getHardestCards(entries, CONFIG.statsHardestCount);
+        if (hardest.length > 0) {
+            this.addHeading('Hardest cards');
+            const list = document.createElement('ol');
+            list.className = 'stats-hardest';
+            for (const { cardId, reviews, misses } of hardest) {
+                const item = document.createElement('li');
+                item.textContent = `${this.getCardName(cardId) || cardId}: missed ${misses} of ${reviews}`;
+                list.appendChild(item);
+            }
+            this.content.appendChild(list);
+        }
+    }
+
+    addHeading(text) {
+        const heading = document.createElement('h3');
+        heading.textContent = text;
+        this.content.appendChild(heading);
+    }
+
+    addParagraph(text, className = '') {
+        const paragraph = document.createElement('p');
+        paragraph.className = className;
+        paragraph.textContent = text;
+        this.content.appendChild(paragraph);
+    }
+
+    // Bar chart of { label, value, suffix } bars; each bar's title and aria-label carry the numbers
+    addChart(title, bars, max = Math.max(1, ...bars.map(bar => bar.value))) {
+        this.addHeading(title);
+        const chart = document.createElement('div');
+        chart.className = 'stats-chart';
+        chart.setAttribute('role', 'list');
+        for (const { label, value, suffix = '' } of bars) {
+            const bar = document.createElement('div');
+            bar.className = 'stats-bar';
+            bar.setAttribute('role', 'listitem');
+            bar.style.height = `${(value / max) * 100}%`;
+            bar.title = `${label}: ${value}${suffix}`;
+            bar.setAttribute('aria-label', bar.title);
+            chart.appendChild(bar);
+        }
+        this.content.appendChild(chart);
+    }
+
+    static dayLabel(day, now) {
+        const offset = day - StudyStats.getDay(now);
+        if (offset === 0) return 'Today';
+        if (offset === 1) return 'Tomorrow';
+        if (offset === -1) return 'Yesterday';
+        return new Date(day * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    exportLog(format) {
+        const date = new Date().toISOString().slice(0, 10);
+        if (format === 'csv') {
+            Utils.downloadFile(`study-log-${date}.csv`, StudyLog.toCsv(this.entries, id => this.getCardName(id)), 'text/csv');
+        } else {
+            Utils.downloadFile(`study-log-${date}.json`, StudyLog.toJson(this.entries), 'application/json');
+        }
+    }
+}
+
+// ==================== SYNC ====================
+// Progress files: { format, version, exported, cards: { <card id>: SM-2 record with history },
+// sessions: { <session key>: { queue: [card ids], current, updated } }, log: [study log entries] }.
+// Queues hold card ids rather than indices, so a file still applies after cards.json changes.
+const PROGRESS_FILE_FORMAT = 'cardStudyProgress';
+const PROGRESS_FILE_VERSION = 1;
+
+class ProgressArchive {
+    // Everything in the store as a progress file
+    static async export(store, cardIds) {
+        const [cards, sessions, log] = await Promise.all([
+            store.getAll('cards'),
+            store.getAll('session'),
+            store.getAll('log')
+        ]);
+        const sessionFiles = {};
+        for (const [key, state] of Object.entries(sessions)) {
+            if (!state || !Array.isArray(state.queue)) continue;
+            sessionFiles[key] = {
+                queue: state.queue.map(index => cardIds[index]).filter(Boolean),
+                current: state.current,
+                seed: state.seed || null,
+                linkDeck: state.linkDeck || null,
+                updated: state.updated || 0
+            };
+        }
+        return {
+            format: PROGRESS_FILE_FORMAT,
+            version: PROGRESS_FILE_VERSION,
+            exported: Date.now(),
+            cards,
+            sessions: sessionFiles,
+            log: Object.values(log)
+        };
+    }
+
+    static parse(text) {
+        const data = typeof text === 'string' ? JSON.parse(text) : text;
+        if (!data || data.format !== PROGRESS_FILE_FORMAT) {
+            throw new Error('Not a progress file.');
+        }
+        if (data.version > PROGRESS_FILE_VERSION) {
+            throw new Error(`Progress file version ${data.version} is newer than this app supports.`);
+        }
+        return {
+            ...data,
+            cards: data.cards || {},
+            sessions: data.sessions || {},
+            log: Array.isArray(data.log) ? data.log : []
+        };
+    }
+
+    // Newest review wins a card's SM-2 fields; both review histories are kept
+    static mergeRecords(a, b) {
+        if (!a || !b) return a || b;
+        const newer = (b.lastReview || 0) > (a.lastReview || 0) ? b : a;
+        const history = new Map();
+        for (const review of [...(a.history || []), ...(b.history || [])]) {
+            history.set(`${review.t}:${review.grade}`, review);
+        }
+        return { ...newer, history: [...history.values()].sort((x, y) => x.t - y.t) };
+    }
+
+    // How many card records in `after` are new or changed compared to `before` (both { id: record })
+    static countUpdatedRecords(before, after) {
+        return Object.entries(after).filter(([id, record]) => {
+            const old = before[id];
+            return !old || (record.lastReview || 0) !== (old.lastReview || 0) ||
+                (record.history || []).length !== (old.history || []).length;
+        }).length;
+    }
+
+    // Union of two progress files: cards merged per record, the most recently saved queue per
+    // session, log entries deduplicated by key
+    static merge(local, remote) {
+        const cards = { ...local.cards };
+        for (const [id, record] of Object.entries(remote.cards)) {
+            cards[id] = ProgressArchive.mergeRecords(cards[id], record);
+        }
+
+        const sessions = { ...local.sessions };
+        for (const [key, session] of Object.entries(remote.sessions)) {
+            if (!sessions[key] || (session.updated || 0) > (sessions[key].updated || 0)) {
+                sessions[key] = session;
+            }
+        }
+
+        const log = new Map();
+        for (const entry of [...local.log, ...remote.log]) {
+            log.set(entry.key, entry);
+        }
+
+        return {
+            ...local,
+            exported: Date.now(),
+            cards,
+            sessions,
+            log: [...log.values()].sort((a, b) => a.t - b.t)
+        };
+    }
+
+    // Merge `file` into the store. Queue entries for cards this manifest doesn't have are dropped.
+    static async import(store, file, cardIds) {
+        const merged = ProgressArchive.merge(await ProgressArchive.export(store, cardIds), ProgressArchive.parse(file));
+
+        const indexById = new Map(cardIds.map((id, index) => [id, index]));
+        const sessions = {};
+        for (const [key, session] of Object.entries(merged.sessions)) {
+            const kept = session.queue.map(id => indexById.get(id));
+            const queue = kept.filter(index => index !== undefined);
+            if (queue.length === 0) continue;
+            // Cards dropped before the saved position move it back accordingly
+            const current = Math.min(kept.slice(0, session.current).filter(index => index !== undefined).length, queue.length - 1);
+            sessions[key] = {
+                queue, current, seed: session.seed || null, linkDeck: session.linkDeck || null, updated: session.updated
+            };
+        }
+
+        await store.putAll('cards', merged.cards);
+        await store.putAll('session', sessions);
+        await store.putAll('log', Object.fromEntries(merged.log.map(entry => [entry.key, entry])));
+        return merged;
+    }
+}
+
+// Sync backends implement pull() -> { file, version } (file is null while nothing is stored) and
+// push(file, version), which rejects with `error.conflict` set when someone else pushed since that pull.
+// HttpSyncAdapter talks to any server storing one JSON document per URL with ETags (see sync-server.js).
+class HttpSyncAdapter {
+    constructor(url, token = '') {
+        this.url = url;
+        this.token = token;
+    }
+
+    async request(options) {
+        const headers = { ...options.headers };
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONFIG.syncTimeout);
+        try {
+            return await fetch(this.url, { ...options, headers, cache: 'no-store', signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async pull() {
+        const response = await this.request({ method: 'GET' });
+        if (response.status === 404) {
+            return { file: null, version: null };
+        }
+        if (!response.ok) {
+            throw new Error(`Sync server answered ${response.status} ${response.statusText}`);
+        }
+        return { file: await response.json(), version: response.headers.get('ETag') };
+    }
+
+    async push(file, version) {
+        const response = await this.request({
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(version ? { 'If-Match': version } : { 'If-None-Match': '*' })
+            },
+            body: JSON.stringify(file)
+        });
+        if (response.status === 412) {
+            const error = new Error('Progress changed on the server during sync');
+            error.conflict = true;
+            throw error;
+        }
+        if (!response.ok) {
+            throw new Error(`Sync server answered ${response.status} ${response.statusText}`);
+        }
+    }
+}
+
+class ProgressSync {
+    // Pull, merge into the store, push the merged result. Retried when another device pushed in between.
+    static async sync(adapter, store, cardIds) {
+        for (let attempt = 1; ; attempt++) {
+            const { file, version } = await adapter.pull();
+            const merged = file
+                ? await ProgressArchive.import(store, file, cardIds)
+                : await ProgressArchive.export(store, cardIds);
+            try {
+                await adapter.push(merged, version);
+                return merged;
+            } catch (e) {
+                if (!e.conflict || attempt >= CONFIG.syncMaxAttempts) {
+                    throw e;
+                }
+                console.log(`[ProgressSync] Conflict, retrying (attempt ${attempt})`);
+            }
+        }
+    }
+}
+
+// "Progress" section of the settings dialog: file export/import and the sync server settings
+class SyncSettings {
+    constructor(app) {
+        this.app = app;
+        this.urlInput = document.getElementById('syncUrlInput');
+        this.tokenInput = document.getElementById('syncTokenInput');
+        this.syncButton = document.getElementById('syncButton');
+        this.status = document.getElementById('syncStatus');
+        this.importInput = document.getElementById('importProgressInput');
+
+        document.getElementById('exportProgressButton').addEventListener('click', () => this.exportProgress());
+        document.getElementById('importProgressButton').addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', () => this.importProgress());
+        this.syncButton.addEventListener('click', () => this.syncNow());
+        this.urlInput.addEventListener('change', () => this.app.saveSetting('syncUrl', this.urlInput.value.trim()));
+        this.tokenInput.addEventListener('change', () => this.app.saveSetting('syncToken', this.tokenInput.value));
+    }
+
+    async load() {
+        try {
+            this.urlInput.value = (await this.app.store.get('settings', 'syncUrl')) || '';
+            this.tokenInput.value = (await this.app.store.get('settings', 'syncToken')) || '';
+        } catch (e) {
+            console.warn('[SyncSettings] Could not load sync settings:', e);
+        }
+    }
+
+    getAdapter() {
+        const url = this.urlInput.value.trim();
+        return url ? new HttpSyncAdapter(url, this.tokenInput.value) : null;
+    }
+
+    getCardIds() {
+        return this.app.cards.map(card => card.id);
+    }
+
+    // Called during startup, before any progress is loaded: failures only leave a message
+    async syncOnStartup() {
+        const adapter = this.getAdapter();
+        if (!adapter) return;
+        try {
+            await ProgressSync.sync(adapter, this.app.store, this.getCardIds());
+            this.status.textContent = `Synced at ${new Date().toLocaleTimeString()}.`;
+        } catch (e) {
+            console.warn('[SyncSettings] Startup sync failed:', e);
+            this.status.textContent = `Last sync failed: ${e.message}`;
+        }
+    }
+
+    async syncNow() {
+        const adapter = this.getAdapter();
+        if (!adapter) {
+            this.status.textContent = 'Enter the URL of a sync server first.';
+            return;
+        }
+        this.syncButton.disabled = true;
+        this.status.textContent = 'Syncing…';
+        try {
+            await this.app.reloadProgress(() => ProgressSync.sync(adapter, this.app.store, this.getCardIds()));
+            this.status.textContent = `Synced at ${new Date().toLocaleTimeString()}.`;
+        } catch (e) {
+            console.warn('[SyncSettings] Sync failed:', e);
+            this.status.textContent = `Sync failed: ${e.message}`;
+        } finally {
+            this.syncButton.disabled = false;
+        }
+    }
+
+    async exportProgress() {
+        const file = await ProgressArchive.export(this.app.store, this.getCardIds());
+        Utils.downloadFile(`study-progress-${new Date().toISOString().slice(0, 10)}.json`,
+            JSON.stringify(file, null, 2), 'application/json');
+    }
+
+    async importProgress() {
+        const file = this.importInput.files[0];
+        this.importInput.value = '';
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const updated = await this.app.reloadProgress(async () => {
+                const before = await this.app.store.getAll('cards');
+                const merged = await ProgressArchive.import(this.app.store, text, this.getCardIds());
+                return ProgressArchive.countUpdatedRecords(before, merged.cards);
+            });
+            this.status.textContent = `Imported progress: ${updated} cards added or updated.`;
+        } catch (e) {
+            console.warn('[SyncSettings] Import failed:', e);
+            this.status.textContent = `Could not import progress: ${e.message}`;
+        }
+    }
+}
+
+// ==================== TABS ====================
+// Only one tab studies at a time, so two tabs never overwrite each other's session. A new tab says
+// "hello" on a BroadcastChannel; if a studying tab answers, the new one stays passive (following
+// along as the other tab saves) until the user takes over. Without BroadcastChannel every tab studies.
+class TabCoordinator {
+    // onChange(isActive, reason) runs when this tab starts or stops studying; reason is "open"
+    // (another tab was studying first), "takeover", "closed" (the studying tab went away) or null.
+    // onProgress({ deckId }) runs in passive tabs whenever the studying tab saved its session.
+    constructor({ onChange, onProgress }) {
+        this.tabId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+        this.onChange = onChange;
+        this.onProgress = onProgress;
+        this.isActive = true;
+        this.isDeciding = false;
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CONFIG.tabChannelName) : null;
+    }
+
+    // Resolves to whether this tab may study, once it is clear no other tab already is
+    start() {
+        if (!this.channel) {
+            return Promise.resolve(true);
+        }
+        this.channel.addEventListener('message', (e) => this.handleMessage(e.data));
+        window.addEventListener('pagehide', () => {
+            if (this.isActive) this.post('closed');
+        });
+
+        this.isActive = false;
+        this.isDeciding = true;
+        this.post('hello');
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                this.isDeciding = false;
+                if (!this.otherTabAnswered) {
+                    this.isActive = true;
+                    this.post('active');
+                }
+                resolve(this.isActive);
+            }, CONFIG.tabHelloTimeout);
+        });
+    }
+
+    post(type, data = {}) {
+        if (this.channel) {
+            this.channel.postMessage({ type, tabId: this.tabId, ...data });
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'hello':
+                if (this.isActive) this.post('active');
+                break;
+            case 'active':
+                if (this.isDeciding) {
+                    this.otherTabAnswered = true;
+                } else if (this.isActive && message.tabId < this.tabId) {
+                    // Two tabs opened at the same moment both decided to study; the older id keeps going
+                    this.setActive(false, 'open');
+                }
+                break;
+            case 'takeover':
+                if (this.isActive) this.setActive(false, 'takeover');
+                break;
+            case 'closed':
+                if (!this.isActive && !this.isDeciding) this.onChange(false, 'closed');
+                break;
+            case 'progress':
+                if (!this.isActive) this.onProgress(message);
+                break;
+        }
+    }
+
+    setActive(isActive, reason = null) {
+        this.isActive = isActive;
+        this.onChange(isActive, reason);
+    }
+
+    takeOver() {
+        this.post('takeover');
+        this.setActive(true);
+    }
+
+    // Called by the studying tab after its session was written to the store
+    notifyProgress(deckId) {
+        if (this.isActive) {
+            this.post('progress', { deckId });
+        }
+    }
+}
+
+// ==================== RENDERERS ====================
+// Backends share one interface so render()/renderCard() never touch a graphics API directly:
+//   init(), resize(), createTexture(imageBitmap), destroyTexture(texture), beginFrame(), drawCard(...), endFrame()
+// Card transforms are column-major mat4s from Utils.createTransformMatrix; depth is in 0..1 (smaller = closer).
+// drawCard() optionally takes a mask { regions: [[u0, v0, u1, v1], ...], reveal } that blurs and darkens
+// those card-relative regions; reveal (0 to 1) wipes the cover away left to right.
+
+// Mask rectangles per card; unused slots are zero-sized
+const MASK_REGION_COUNT = 4;
+
+// Blurred regions sample this mip level (textures are mipmapped down to 1x1)
+const MASK_BLUR_LOD = 5.0;
+
+// mat4x4 (64 bytes) + opacity + depth + darkenFactor + maskReveal + mask regions (vec4 each)
+const WEBGPU_UNIFORM_BYTES = 80 + MASK_REGION_COUNT * 16;
+
+class WebGPURenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.name = WebGPURenderer.backendName;
+        this.device = null;
+        this.context = null;
+        this.pipeline = null;
+        this.depthTexture = null;
+        this.drawTextures = []; // Texture per uniform slot for the frame being built
+        this.onLost = null; // Called when the device is lost; the app then calls restore()
+    }
+
+    static get backendName() {
+        return 'webgpu';
+    }
+
+    static isSupported() {
+        return !!navigator.gpu;
+    }
+
+    async init() {
+        const adapter = await navigator.gpu.requestAdapter();
+        if (!adapter) {
+            throw new Error('Failed to get WebGPU adapter');
+        }
+
+        this.device = await adapter.requestDevice();
+        this.context = this.canvas.getContext('webgpu');
+
+        // Driver resets and backgrounded mobile tabs lose the device, and with it every GPU object
+        this.device.lost.then((info) => {
+            console.warn(`[WebGPURenderer] Device lost (${info.reason}): ${info.message}`);
+            if (info.reason !== 'destroyed' && this.onLost) {
+                this.onLost();
+            }
+        });
+
+        const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
+        this.context.configure({
+            device: this.device,
+            format: presentationFormat,
+            alphaMode: 'premultiplied',
+        });
+
+        // Create depth texture for depth testing
+        this.resize();
+
+        await this.createPipeline(presentationFormat);
+    }
+
+    async createPipeline(format) {
+        const shaderCode = `
+            struct VertexOutput {
                 @builtin(position) position: vec4<f32>,
                 @location(0) texCoord: vec2<f32>,
             }
 
-            struct Uniforms {
-                transform: mat4x4<f32>,
-                opacity: f32,
-                depth: f32,
-                darkenFactor: f32,
-                padding: f32,
+            struct Uniforms {
+                transform: mat4x4<f32>,
+                opacity: f32,
+                depth: f32,
+                darkenFactor: f32,
+                maskReveal: f32,
+                maskRegions: array<vec4<f32>, ${MASK_REGION_COUNT}>,
+            }
+
+            @group(0) @binding(0) var<uniform> uniforms: Uniforms;
+            @group(0) @binding(1) var textureSampler: sampler;
+            @group(0) @binding(2) var textureData: texture_2d<f32>;
+
+            @vertex
+            fn vs_main(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+                var pos = array<vec2<f32>, 6>(
+                    vec2<f32>(-1.0, -1.0),
+                    vec2<f32>(1.0, -1.0),
+                    vec2<f32>(1.0, 1.0),
+                    vec2<f32>(-1.0, -1.0),
+                    vec2<f32>(1.0, 1.0),
+                    vec2<f32>(-1.0, 1.0)
+                );
+
+                var texCoord = array<vec2<f32>, 6>(
+                    vec2<f32>(0.0, 1.0),
+                    vec2<f32>(1.0, 1.0),
+                    vec2<f32>(1.0, 0.0),
+                    vec2<f32>(0.0, 1.0),
+                    vec2<f32>(1.0, 0.0),
+                    vec2<f32>(0.0, 0.0)
+                );
+
+                var output: VertexOutput;
+                let transformed = uniforms.transform * vec4<f32>(pos[vertexIndex], 0.0, 1.0);
+                output.position = vec4<f32>(transformed.xy, uniforms.depth, transformed.w);
+                output.texCoord = texCoord[vertexIndex];
+                return output;
+            }
+
+            // 1 where a mask region still covers uv, 0 where it is uncovered (soft wipe edge)
+            fn maskCoverage(uv: vec2<f32>) -> f32 {
+                let edge = 0.08;
+                let wipe = uniforms.maskReveal * (1.0 + edge);
+                var coverage = 0.0;
+                for (var i = 0; i < ${MASK_REGION_COUNT}; i++) {
+                    let region = uniforms.maskRegions[i];
+                    let inside = step(region.x, uv.x) * step(uv.x, region.z) * step(region.y, uv.y) * step(uv.y, region.w);
+                    let along = (uv.x - region.x) / max(region.z - region.x, 0.0001);
+                    coverage = max(coverage, inside * smoothstep(wipe - edge, wipe, along));
+                }
+                return coverage;
+            }
+
+            @fragment
+            fn fs_main(input: VertexOutput) -> @location(0) vec4<f32> {
+                let color = textureSample(textureData, textureSampler, input.texCoord);
+                let blurred = textureSampleLevel(textureData, textureSampler, input.texCoord, ${MASK_BLUR_LOD.toFixed(1)});
+                let masked = mix(color.rgb, blurred.rgb * 0.4, maskCoverage(input.texCoord));
+                // Apply darkening tint to background cards
+                let darkenedColor = masked * uniforms.darkenFactor;
+                return vec4<f32>(darkenedColor, color.a * uniforms.opacity);
+            }
+        `;
+
+        const shaderModule = this.device.createShaderModule({ code: shaderCode });
+
+        // Explicit layout so the uniform buffer can be bound with a dynamic offset per card
+        this.bindGroupLayout = this.device.createBindGroupLayout({
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+                    buffer: { type: 'uniform', hasDynamicOffset: true, minBindingSize: WEBGPU_UNIFORM_BYTES },
+                },
+                { binding: 1, visibility: GPUShaderStage.FRAGMENT, sampler: {} },
+                { binding: 2, visibility: GPUShaderStage.FRAGMENT, texture: {} },
+            ],
+        });
+
+        this.pipeline = this.device.createRenderPipeline({
+            layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayout] }),
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vs_main',
+            },
+            fragment: {
+                module: shaderModule,
+                entryPoint: 'fs_main',
+                targets: [{
+                    format: format,
+                    blend: {
+                        color: {
+                            srcFactor: 'src-alpha',
+                            dstFactor: 'one-minus-src-alpha',
+                            operation: 'add',
+                        },
+                        alpha: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha',
+                            operation: 'add',
+                        },
+                    },
+                }],
+            },
+            primitive: {
+                topology: 'triangle-list',
+            },
+            depthStencil: {
+                format: 'depth32float',
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+            },
+        });
+
+        // One sampler for every card (trilinear, so scaled-down cards don't alias)
+        this.sampler = this.device.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear',
+            mipmapFilter: 'linear',
+        });
+
+        this.allocateUniforms(CONFIG.maxStackCards + 1);
+        this.createMipmapPipeline();
+    }
+
+    // Start over on a new device: pipelines, depth texture and uniform buffer are rebuilt by init().
+    // Textures from the old device are gone; the caller uploads what it needs again.
+    async restore() {
+        this.depthTexture = null;
+        this.uniformBuffer = null;
+        this.drawTextures.length = 0;
+        await this.init();
+    }
+
+    // WebGPU has no generateMipmap(): each level is rendered from the one above it
+    createMipmapPipeline() {
+        const shaderModule = this.device.createShaderModule({
+            code: `
+                struct VertexOutput {
+                    @builtin(position) position: vec4<f32>,
+                    @location(0) texCoord: vec2<f32>,
+                }
+
+                @group(0) @binding(0) var mipSampler: sampler;
+                @group(0) @binding(1) var previousLevel: texture_2d<f32>;
+
+                @vertex
+                fn vs_main(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+                    // One triangle that covers the whole target level
+                    var pos = array<vec2<f32>, 3>(
+                        vec2<f32>(-1.0, -1.0),
+                        vec2<f32>(3.0, -1.0),
+                        vec2<f32>(-1.0, 3.0)
+                    );
+
+                    var output: VertexOutput;
+                    output.position = vec4<f32>(pos[vertexIndex], 0.0, 1.0);
+                    output.texCoord = pos[vertexIndex] * vec2<f32>(0.5, -0.5) + vec2<f32>(0.5, 0.5);
+                    return output;
+                }
+
+                @fragment
+                fn fs_main(input: VertexOutput) -> @location(0) vec4<f32> {
+                    return textureSample(previousLevel, mipSampler, input.texCoord);
+                }
+            `,
+        });
+
+        this.mipmapPipeline = this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vs_main',
+            },
+            fragment: {
+                module: shaderModule,
+                entryPoint: 'fs_main',
+                targets: [{ format: 'rgba8unorm' }],
+            },
+            primitive: {
+                topology: 'triangle-list',
+            },
+        });
+
+        this.mipmapSampler = this.device.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear',
+        });
+    }
+
+    generateMipmaps(texture) {
+        const commandEncoder = this.device.createCommandEncoder();
+
+        for (let level = 1; level < texture.mipLevelCount; level++) {
+            const bindGroup = this.device.createBindGroup({
+                layout: this.mipmapPipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: this.mipmapSampler },
+                    { binding: 1, resource: texture.createView({ baseMipLevel: level - 1, mipLevelCount: 1 }) },
+                ],
+            });
+
+            const passEncoder = commandEncoder.beginRenderPass({
+                colorAttachments: [{
+                    view: texture.createView({ baseMipLevel: level, mipLevelCount: 1 }),
+                    clearValue: { r: 0, g: 0, b: 0, a: 0 },
+                    loadOp: 'clear',
+                    storeOp: 'store',
+                }],
+            });
+            passEncoder.setPipeline(this.mipmapPipeline);
+            passEncoder.setBindGroup(0, bindGroup);
+            passEncoder.draw(3, 1, 0, 0);
+            passEncoder.end();
+        }
+
+        this.device.queue.submit([commandEncoder.finish()]);
+    }
+
+    // One uniform buffer holds a slot per card drawn this frame, addressed by dynamic offset
+    allocateUniforms(capacity) {
+        if (this.uniformBuffer) {
+            this.uniformBuffer.destroy();
+        }
+
+        const alignment = this.device.limits.minUniformBufferOffsetAlignment;
+        this.uniformStride = Math.ceil(WEBGPU_UNIFORM_BYTES / alignment) * alignment;
+        this.uniformCapacity = capacity;
+        this.uniformBuffer = this.device.createBuffer({
+            size: this.uniformStride * capacity,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        this.uniformData = new Float32Array((this.uniformStride * capacity) / 4);
+
+        // Cached bind groups point at the old buffer
+        this.bindGroups = new WeakMap();
+    }
+
+    // Bind groups only depend on the texture, so build each one once
+    getBindGroup(texture) {
+        let bindGroup = this.bindGroups.get(texture);
+        if (!bindGroup) {
+            bindGroup = this.device.createBindGroup({
+                layout: this.bindGroupLayout,
+                entries: [
+                    { binding: 0, resource: { buffer: this.uniformBuffer, size: WEBGPU_UNIFORM_BYTES } },
+                    { binding: 1, resource: this.sampler },
+                    { binding: 2, resource: texture.createView() },
+                ],
+            });
+            this.bindGroups.set(texture, bindGroup);
+        }
+        return bindGroup;
+    }
+
+    // Match the depth buffer to the (possibly resized) canvas
+    resize() {
+        if (this.depthTexture) {
+            this.depthTexture.destroy();
+        }
+        this.depthTexture = this.device.createTexture({
+            size: [this.canvas.width, this.canvas.height],
+            format: 'depth32float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT,
+        });
+        this.depthView = this.depthTexture.createView();
+    }
+
+    createTexture(imageBitmap) {
+        const texture = this.device.createTexture({
+            size: [imageBitmap.width, imageBitmap.height, 1],
+            format: 'rgba8unorm',
+            mipLevelCount: Utils.getMipLevelCount(imageBitmap.width, imageBitmap.height),
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT,
+        });
+
+        this.device.queue.copyExternalImageToTexture(
+            { source: imageBitmap },
+            { texture: texture },
+            [imageBitmap.width, imageBitmap.height]
+        );
+        this.generateMipmaps(texture);
+
+        return texture;
+    }
+
+    destroyTexture(texture) {
+        texture.destroy();
+    }
+
+    // Draws are only collected here; endFrame() uploads all uniforms at once and encodes the pass
+    beginFrame() {
+        this.drawTextures.length = 0;
+    }
+
+    drawCard(texture, transformMatrix, depth, opacity, darkenFactor, mask = null) {
+        const slot = this.drawTextures.length;
+        if (slot >= this.uniformCapacity) {
+            // Safe to reallocate: nothing has been encoded against the old buffer yet
+            const previous = this.uniformData;
+            this.allocateUniforms(this.uniformCapacity * 2);
+            this.uniformData.set(previous);
+        }
+
+        const base = (slot * this.uniformStride) / 4;
+        this.uniformData.set(transformMatrix, base);
+        this.uniformData[base + 16] = opacity;
+        this.uniformData[base + 17] = depth;
+        this.uniformData[base + 18] = darkenFactor;
+        this.uniformData[base + 19] = mask ? mask.reveal : 1;
+        for (let i = 0; i < MASK_REGION_COUNT; i++) {
+            const region = (mask && mask.regions[i]) || [0, 0, 0, 0];
+            this.uniformData.set(region, base + 20 + i * 4);
+        }
+
+        this.drawTextures.push(texture);
+    }
+
+    endFrame() {
+        const drawCount = this.drawTextures.length;
+        if (drawCount > 0) {
+            this.device.queue.writeBuffer(this.uniformBuffer, 0, this.uniformData, 0, (drawCount * this.uniformStride) / 4);
+        }
+
+        const commandEncoder = this.device.createCommandEncoder();
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.context.getCurrentTexture().createView(),
+                clearValue: { r: 0, g: 0, b: 0, a: 1 },
+                loadOp: 'clear',
+                storeOp: 'store',
+            }],
+            depthStencilAttachment: {
+                view: this.depthView,
+                depthClearValue: 1.0,
+                depthLoadOp: 'clear',
+                depthStoreOp: 'store',
+            },
+        });
+        passEncoder.setPipeline(this.pipeline);
+
+        for (let i = 0; i < drawCount; i++) {
+            passEncoder.setBindGroup(0, this.getBindGroup(this.drawTextures[i]), [i * this.uniformStride]);
+            passEncoder.draw(6, 1, 0, 0);
+        }
+
+        passEncoder.end();
+        this.device.queue.submit([commandEncoder.finish()]);
+    }
+}
+
+// WebGL2 fallback for browsers without navigator.gpu (Firefox stable, older Safari)
+class WebGL2Renderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.name = WebGL2Renderer.backendName;
+        this.gl = null;
+        this.program = null;
+        this.uniforms = {};
+        this.maskRegionData = new Float32Array(MASK_REGION_COUNT * 4);
+        this.onLost = null; // Called when the context is lost; the app then calls restore()
+    }
+
+    static get backendName() {
+        return 'webgl2';
+    }
+
+    static isSupported() {
+        return typeof WebGL2RenderingContext !== 'undefined';
+    }
+
+    async init() {
+        this.gl = this.canvas.getContext('webgl2', {
+            alpha: true,
+            premultipliedAlpha: true,
+            depth: true,
+            antialias: true,
+        });
+        if (!this.gl) {
+            throw new Error('Failed to get WebGL2 context');
+        }
+
+        // Without preventDefault() the browser never restores a lost context
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            console.warn('[WebGL2Renderer] Context lost');
+            if (this.onLost) {
+                this.onLost();
+            }
+        });
+
+        this.setupContext();
+    }
+
+    // Wait for the browser to hand the context back, then rebuild program and state.
+    // Textures from before the loss are gone; the caller uploads what it needs again.
+    async restore() {
+        if (this.gl.isContextLost()) {
+            await new Promise(resolve => this.canvas.addEventListener('webglcontextrestored', resolve, { once: true }));
+        }
+        this.setupContext();
+    }
+
+    setupContext() {
+        this.createProgram();
+
+        const gl = this.gl;
+        // Same depth test and blend state as the WebGPU pipeline
+        gl.enable(gl.DEPTH_TEST);
+        gl.depthFunc(gl.LESS);
+        gl.enable(gl.BLEND);
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+        // No vertex buffers: the quad comes from gl_VertexID, like vertex_index in the WGSL shader
+        this.vertexArray = gl.createVertexArray();
+    }
+
+    createProgram() {
+        const gl = this.gl;
+
+        const vertexSource = `#version 300 es
+            uniform mat4 uTransform;
+            uniform float uDepth;
+            out vec2 vTexCoord;
+
+            const vec2 positions[6] = vec2[6](
+                vec2(-1.0, -1.0), vec2(1.0, -1.0), vec2(1.0, 1.0),
+                vec2(-1.0, -1.0), vec2(1.0, 1.0), vec2(-1.0, 1.0)
+            );
+            const vec2 texCoords[6] = vec2[6](
+                vec2(0.0, 1.0), vec2(1.0, 1.0), vec2(1.0, 0.0),
+                vec2(0.0, 1.0), vec2(1.0, 0.0), vec2(0.0, 0.0)
+            );
+
+            void main() {
+                vec4 transformed = uTransform * vec4(positions[gl_VertexID], 0.0, 1.0);
+                // WebGL clip space z is -1..1; map the shared 0..1 depth onto it
+                gl_Position = vec4(transformed.xy, uDepth * 2.0 - 1.0, transformed.w);
+                vTexCoord = texCoords[gl_VertexID];
+            }
+        `;
+
+        const fragmentSource = `#version 300 es
+            precision mediump float;
+            uniform sampler2D uTexture;
+            uniform float uOpacity;
+            uniform float uDarkenFactor;
+            uniform float uMaskReveal;
+            uniform vec4 uMaskRegions[${MASK_REGION_COUNT}];
+            in vec2 vTexCoord;
+            out vec4 fragColor;
+
+            // 1 where a mask region still covers uv, 0 where it is uncovered (soft wipe edge)
+            float maskCoverage(vec2 uv) {
+                const float edge = 0.08;
+                float wipe = uMaskReveal * (1.0 + edge);
+                float coverage = 0.0;
+                for (int i = 0; i < ${MASK_REGION_COUNT}; i++) {
+                    vec4 region = uMaskRegions[i];
+                    float inside = step(region.x, uv.x) * step(uv.x, region.z) * step(region.y, uv.y) * step(uv.y, region.w);
+                    float along = (uv.x - region.x) / max(region.z - region.x, 0.0001);
+                    coverage = max(coverage, inside * smoothstep(wipe - edge, wipe, along));
+                }
+                return coverage;
+            }
+
+            void main() {
+                vec4 color = texture(uTexture, vTexCoord);
+                vec4 blurred = textureLod(uTexture, vTexCoord, ${MASK_BLUR_LOD.toFixed(1)});
+                vec3 masked = mix(color.rgb, blurred.rgb * 0.4, maskCoverage(vTexCoord));
+                // Apply darkening tint to background cards
+                fragColor = vec4(masked * uDarkenFactor, color.a * uOpacity);
+            }
+        `;
+
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+            }
+            return shader;
+        };
+
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+        }
+
+        this.program = program;
+        for (const name of ['uTransform', 'uDepth', 'uTexture', 'uOpacity', 'uDarkenFactor', 'uMaskReveal', 'uMaskRegions']) {
+            this.uniforms[name] = gl.getUniformLocation(program, name);
+        }
+    }
+
+    // The default framebuffer resizes with the canvas; only the viewport needs updating (done per frame)
+    resize() {
+    }
+
+    createTexture(imageBitmap) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, imageBitmap);
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    destroyTexture(texture) {
+        this.gl.deleteTexture(texture);
+    }
+
+    beginFrame() {
+        const gl = this.gl;
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.clearColor(0, 0, 0, 1);
+        gl.clearDepth(1.0);
+        gl.depthMask(true);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+        gl.useProgram(this.program);
+        gl.bindVertexArray(this.vertexArray);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.uniform1i(this.uniforms.uTexture, 0);
+    }
+
+    drawCard(texture, transformMatrix, depth, opacity, darkenFactor, mask = null) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniformMatrix4fv(this.uniforms.uTransform, false, transformMatrix);
+        gl.uniform1f(this.uniforms.uDepth, depth);
+        gl.uniform1f(this.uniforms.uOpacity, opacity);
+        gl.uniform1f(this.uniforms.uDarkenFactor, darkenFactor);
+        gl.uniform1f(this.uniforms.uMaskReveal, mask ? mask.reveal : 1);
+        this.maskRegionData.fill(0);
+        if (mask) {
+            mask.regions.slice(0, MASK_REGION_COUNT).forEach((region, i) => this.maskRegionData.set(region, i * 4));
+        }
+        gl.uniform4fv(this.uniforms.uMaskRegions, this.maskRegionData);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
+    // WebGL presents automatically when control returns to the browser
+    endFrame() {
+    }
+}
+
+// Backends in order of preference
+const RENDERER_BACKENDS = [WebGPURenderer, WebGL2Renderer];
+
+// ==================== TEXTURE CACHE ====================
+// LRU cache of card textures bounded by card count and estimated GPU memory.
+// Textures returned by getPinned() (current card and visible stack) are never evicted.
+class TextureCache {
+    constructor(renderer, getPinned) {
+        this.renderer = renderer;
+        this.getPinned = getPinned;
+        this.maxCards = CONFIG.textureCacheMaxCards;
+        this.maxBytes = CONFIG.textureCacheMaxMB * 1024 * 1024;
+        this.entries = new Map(); // path -> { texture, bytes }, least recently used first
+        this.totalBytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    get(path) {
+        const entry = this.entries.get(path);
+        if (!entry) {
+            this.misses++;
+            return null;
+        }
+        this.hits++;
+        // Re-insert to mark as most recently used
+        this.entries.delete(path);
+        this.entries.set(path, entry);
+        return entry.texture;
+    }
+
+    // Lookup without touching recency or stats
+    has(path) {
+        return this.entries.has(path);
+    }
+
+    set(path, texture, bytes) {
+        this.entries.set(path, { texture, bytes });
+        this.totalBytes += bytes;
+        this.evict();
+    }
+
+    evict() {
+        if (this.entries.size <= this.maxCards && this.totalBytes <= this.maxBytes) {
+            return;
+        }
+
+        // The newest entries are preloads that may not be on the stack yet, so never evict those
+        const pinned = new Set(this.getPinned());
+        const candidates = [...this.entries.keys()].slice(0, Math.max(0, this.entries.size - (CONFIG.preloadCount + 1)));
+
+        for (const path of candidates) {
+            if (this.entries.size <= this.maxCards && this.totalBytes <= this.maxBytes) {
+                break;
+            }
+            const entry = this.entries.get(path);
+            if (pinned.has(entry.texture)) {
+                continue;
+            }
+            this.entries.delete(path);
+            this.totalBytes -= entry.bytes;
+            this.evictions++;
+            this.renderer.destroyTexture(entry.texture);
+            Utils.debugLog(`[TextureCache] Evicted ${path}`);
+        }
+    }
+
+    // Forget every texture without destroying it, e.g. after the GPU device was lost with all of them
+    clear() {
+        this.entries.clear();
+        this.totalBytes = 0;
+    }
+
+    getStats() {
+        const lookups = this.hits + this.misses;
+        return {
+            textures: this.entries.size,
+            megabytes: Number((this.totalBytes / (1024 * 1024)).toFixed(1)),
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups > 0 ? Number((this.hits / lookups).toFixed(2)) : 0,
+            evictions: this.evictions
+        };
+    }
+}
+
+// ==================== INPUT ====================
+// Actions that keyboard keys and gamepad buttons can be bound to, with their default bindings.
+// Keys are KeyboardEvent.key values, optionally prefixed with "Shift+"; buttons use the standard gamepad mapping.
+const INPUT_ACTIONS = {
+    next: { label: 'Next card', keys: [' ', 'Enter'], buttons: [0] },
+    swipeRight: { label: 'Throw right', keys: ['ArrowRight'], buttons: [15] },
+    swipeUp: { label: 'Throw up', keys: ['ArrowUp'], buttons: [12] },
+    swipeLeft: { label: 'Throw left', keys: ['ArrowLeft'], buttons: [14] },
+    swipeDown: { label: 'Throw down', keys: ['ArrowDown'], buttons: [13] },
+    undo: { label: 'Back to previous card', keys: ['Backspace'], buttons: [4] },
+    redo: { label: 'Forward again', keys: ['Shift+Backspace'], buttons: [5] },
+    peek: { label: 'Peek at second language', keys: ['p'], buttons: [3] },
+    choose1: { label: 'Multiple choice: option 1', keys: ['1'], buttons: [] },
+    choose2: { label: 'Multiple choice: option 2', keys: ['2'], buttons: [] },
+    choose3: { label: 'Multiple choice: option 3', keys: ['3'], buttons: [] },
+    choose4: { label: 'Multiple choice: option 4', keys: ['4'], buttons: [] }
+};
+
+class InputBindings {
+    constructor(store) {
+        this.store = store;
+        this.bindings = InputBindings.defaults();
+    }
+
+    static defaults() {
+        return Object.fromEntries(Object.entries(INPUT_ACTIONS).map(([action, { keys, buttons }]) =>
+            [action, { keys: [...keys], buttons: [...buttons] }]));
+    }
+
+    // Saved bindings override the defaults action by action, so new actions keep their default
+    async load() {
+        try {
+            const saved = await this.store.get('settings', 'inputBindings');
+            if (saved) {
+                for (const action of Object.keys(this.bindings)) {
+                    if (saved[action]) {
+                        this.bindings[action] = saved[action];
+                    }
+                }
+            }
+        } catch (e) {
+            console.warn('[InputBindings] Could not load bindings, using defaults:', e);
+        }
+    }
+
+    save() {
+        this.store.put('settings', 'inputBindings', this.bindings)
+            .catch(e => console.warn('[InputBindings] Could not save bindings:', e));
+    }
+
+    reset() {
+        this.bindings = InputBindings.defaults();
+        this.save();
+    }
+
+    actionForKey(key) {
+        return Object.keys(this.bindings).find(action => this.bindings[action].keys.includes(key)) || null;
+    }
+
+    actionForButton(button) {
+        return Object.keys(this.bindings).find(action => this.bindings[action].buttons.includes(button)) || null;
+    }
+
+    // A key or button belongs to one action at a time
+    bindKey(action, key) {
+        for (const binding of Object.values(this.bindings)) {
+            binding.keys = binding.keys.filter(k => k !== key);
+        }
+        this.bindings[action].keys = [key];
+        this.save();
+    }
+
+    bindButton(action, button) {
+        for (const binding of Object.values(this.bindings)) {
+            binding.buttons = binding.buttons.filter(b => b !== button);
+        }
+        this.bindings[action].buttons = [button];
+        this.save();
+    }
+
+    // "Shift+Backspace"-style name for a keydown, or null for a lone modifier key
+    static describeKey(e) {
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+            return null;
+        }
+        return (e.shiftKey && e.key.length > 1 ? 'Shift+' : '') + e.key;
+    }
+
+    static keyLabel(key) {
+        return key.replace(/^ $/, 'Space').replace(/Arrow/, '');
+    }
+}
+
+// Keyboard and gamepad input mapped to actions. While the settings dialog is capturing a new
+// binding, the next key or button press goes to it instead.
+class InputController {
+    constructor(bindings, onAction) {
+        this.bindings = bindings;
+        this.onAction = onAction;
+        this.captureHandler = null; // (binding) => void while waiting for a key/button to bind
+        this.pressedButtons = new Map(); // gamepad index -> Set of pressed button indices
+        this.isPolling = false;
+    }
+
+    attach() {
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        window.addEventListener('gamepadconnected', () => this.startPolling());
+        if (navigator.getGamepads && [...navigator.getGamepads()].some(Boolean)) {
+            this.startPolling();
+        }
+    }
+
+    handleKeyDown(e) {
+        const key = InputBindings.describeKey(e);
+        if (!key) return;
+
+        if (this.captureHandler) {
+            e.preventDefault();
+            const handler = this.captureHandler;
+            this.captureHandler = null;
+            handler(key === 'Escape' ? null : { key });
+            return;
+        }
+
+        // Leave typing, open dialogs and native button activation alone
+        const target = e.target;
+        if (target.closest && target.closest('input, textarea, select, dialog')) {
+            return;
+        }
+        if (target.closest && target.closest('button') && (key === ' ' || key === 'Enter')) {
+            return;
+        }
+
+        const action = this.bindings.actionForKey(key);
+        if (action) {
+            e.preventDefault();
+            if (!e.repeat) {
+                this.onAction(action);
+            }
+        }
+    }
+
+    captureNext(handler) {
+        this.captureHandler = handler;
+    }
+
+    startPolling() {
+        if (this.isPolling) return;
+        this.isPolling = true;
+
+        const poll = () => {
+            const pads = [...navigator.getGamepads()].filter(Boolean);
+            if (pads.length === 0) {
+                this.isPolling = false;
+                this.pressedButtons.clear();
+                return;
+            }
+
+            for (const pad of pads) {
+                const previous = this.pressedButtons.get(pad.index) || new Set();
+                const pressed = new Set();
+                pad.buttons.forEach((button, i) => {
+                    if (button.pressed) pressed.add(i);
+                });
+
+                // Fire on the press edge only
+                for (const button of pressed) {
+                    if (previous.has(button)) continue;
+                    if (this.captureHandler) {
+                        const handler = this.captureHandler;
+                        this.captureHandler = null;
+                        handler({ button });
+                    } else {
+                        const action = this.bindings.actionForButton(button);
+                        if (action) this.onAction(action);
+                    }
+                }
+                this.pressedButtons.set(pad.index, pressed);
+            }
+
+            requestAnimationFrame(poll);
+        };
+
+        requestAnimationFrame(poll);
+    }
+}
+
+// Dialog listing every action with its key and gamepad button; click a binding, then press the new one
+class BindingsDialog {
+    constructor(bindings, input) {
+        this.bindings = bindings;
+        this.input = input;
+        this.dialog = document.getElementById('settingsDialog');
+        this.table = document.getElementById('bindingsTable');
+
+        document.getElementById('settingsButton').addEventListener('click', () => this.open());
+        document.getElementById('resetBindingsButton').addEventListener('click', () => {
+            this.bindings.reset();
+            this.renderRows();
+        });
+        this.dialog.addEventListener('close', () => {
+            this.input.captureHandler = null;
+        });
+    }
+
+    open() {
+        this.renderRows();
+        this.dialog.showModal();
+    }
+
+    renderRows() {
+        this.table.replaceChildren();
+        for (const [action, { label }] of Object.entries(INPUT_ACTIONS)) {
+            const binding = this.bindings.bindings[action];
+            const row = this.table.insertRow();
+            row.insertCell().textContent = label;
+
+            const keyButton = document.createElement('button');
+            keyButton.textContent = binding.keys.map(InputBindings.keyLabel).join(', ') || '—';
+            keyButton.setAttribute('aria-label', `${label}: keyboard ${keyButton.textContent}. Activate to change.`);
+            keyButton.addEventListener('click', () => this.capture(action, keyButton, 'key'));
+            row.insertCell().appendChild(keyButton);
+
+            const padButton = document.createElement('button');
+            padButton.textContent = binding.buttons.map(b => `Button ${b}`).join(', ') || '—';
+            padButton.setAttribute('aria-label', `${label}: gamepad ${padButton.textContent}. Activate to change.`);
+            padButton.addEventListener('click', () => this.capture(action, padButton, 'button'));
+            row.insertCell().appendChild(padButton);
+        }
+    }
+
+    capture(action, element, kind) {
+        element.textContent = kind === 'key' ? 'Press a key… (Esc cancels)' : 'Press a gamepad button…';
+        this.input.captureNext((pressed) => {
+            if (pressed && kind === 'key' && pressed.key !== undefined) {
+                this.bindings.bindKey(action, pressed.key);
+            } else if (pressed && kind === 'button' && pressed.button !== undefined) {
+                this.bindings.bindButton(action, pressed.button);
+            }
+            this.renderRows();
+        });
+    }
+}
+
+// ==================== OFFLINE SUPPORT ====================
+// Registers the service worker for the current deck and shows progress while it caches every card image
+class OfflineSupport {
+    constructor() {
+        this.statusEl = document.getElementById('offlineStatus');
+        this.statusTextEl = document.getElementById('offlineStatusText');
+        this.progressEl = document.getElementById('offlineProgress');
+    }
+
+    static isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext;
+    }
+
+    // The worker URL carries the deck version, so a changed cards.json installs a fresh cache
+    async register(deckVersion, sizes) {
+        navigator.serviceWorker.addEventListener('message', (e) => this.handleMessage(e.data));
+
+        // After a redeploy, the worker already active is the previous deck's: the precache has to go
+        // to this deck's worker, once it has taken over
+        const url = `${CONFIG.serviceWorkerUrl}?deck=${encodeURIComponent(deckVersion)}`;
+        const registration = await navigator.serviceWorker.register(url);
+        const worker = registration.installing || registration.waiting || registration.active;
+        await OfflineSupport.whenActivated(worker);
+        worker.postMessage({ type: 'precache', sizes });
+    }
+
+    static whenActivated(worker) {
+        if (worker.state === 'activated') {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'activated') {
+                    resolve();
+                } else if (worker.state === 'redundant') {
+                    reject(new Error('Service worker was replaced before it activated'));
+                }
+            });
+        });
+    }
+
+    handleMessage(message) {
+        if (!message) return;
+
+        if (message.type === 'precache-progress') {
+            // Cards already cached by an earlier visit finish instantly; only show real downloads
+            if (message.done < message.total) {
+                this.show(`Saving cards for offline use… ${message.done}/${message.total}`, message.done / message.total);
+            }
+        } else if (message.type === 'precache-complete') {
+            if (this.statusEl.style.display === 'none') return;
+            if (message.failed > 0) {
+                this.show(`${message.failed} cards could not be saved for offline use`, null);
+            } else {
+                this.show('Available offline', null);
+            }
+            clearTimeout(this.hideTimer);
+            this.hideTimer = setTimeout(() => {
+                this.statusEl.style.display = 'none';
+            }, CONFIG.offlineStatusHideDelay);
+        }
+    }
+
+    show(text, progress) {
+        this.statusEl.style.display = 'block';
+        this.statusTextEl.textContent = text;
+        this.progressEl.style.display = progress === null ? 'none' : 'block';
+        if (progress !== null) {
+            this.progressEl.value = progress;
+        }
+    }
+}
+
+// ==================== GALLERY ====================
+// Scrollable grid of the whole deck with each card's study status. Only the rows in view (plus a
+// little overscan) exist in the DOM, and thumbnails are plain <img> elements, not GPU textures.
+class GalleryView {
+    constructor(app) {
+        this.app = app;
+        this.dialog = document.getElementById('galleryDialog');
+        this.panel = document.getElementById('galleryPanel');
+        this.scroller = document.getElementById('galleryScroller');
+        this.spacer = document.getElementById('gallerySpacer');
+        this.statusFilter = document.getElementById('galleryStatusFilter');
+        this.menu = document.getElementById('galleryMenu');
+
+        this.indices = []; // Card indices shown, in grid order
+        this.statuses = []; // Study status per card index
+        this.items = new Map(); // Grid position -> element currently in the DOM
+        this.layout = { columns: 1, itemWidth: 0, itemHeight: 0 };
+        this.scrollRequested = false;
+
+        document.getElementById('galleryButton').addEventListener('click', () => this.open());
+        document.getElementById('galleryCloseButton').addEventListener('click', () => this.close());
+        this.dialog.addEventListener('cancel', (e) => {
+            e.preventDefault();
+            this.close();
+        });
+        this.statusFilter.addEventListener('change', () => this.refresh());
+        this.panel.addEventListener('click', (e) => {
+            if (!e.target.closest('.gallery-card, #galleryMenu')) this.hideMenu();
+        });
+        this.scroller.addEventListener('scroll', () => {
+            this.hideMenu();
+            if (this.scrollRequested) return;
+            this.scrollRequested = true;
+            requestAnimationFrame(() => {
+                this.scrollRequested = false;
+                this.renderVisible();
+            });
+        });
+        window.addEventListener('resize', () => {
+            if (this.dialog.open) this.refresh();
+        });
+    }
+
+    open() {
+        this.dialog.showModal();
+        this.refresh();
+        this.animatePanel([{ opacity: 0, transform: 'scale(1.03)' }, { opacity: 1, transform: 'none' }]);
+    }
+
+    async close() {
+        this.hideMenu();
+        await this.animatePanel([{ opacity: 1 }, { opacity: 0 }]);
+        this.dialog.close();
+    }
+
+    animatePanel(keyframes) {
+        const duration = this.app.reducedMotion ? 0 : CONFIG.galleryTransitionDuration;
+        return this.panel.animate(keyframes, { duration, easing: 'ease-out' }).finished;
+    }
+
+    // Recompute statuses, the filtered card list and the grid geometry, then redraw what's visible
+    refresh() {
+        const now = Date.now();
+        const filter = this.statusFilter.value;
+        this.statuses = this.app.cards.map((_, index) => this.app.stateManager.getCardStatus(index, now));
+        this.indices = this.app.cards.map((_, index) => index)
+            .filter(index => filter === 'all' || this.statuses[index] === filter);
+
+        const width = this.spacer.clientWidth;
+        const gap = CONFIG.galleryGap;
+        const columns = Math.max(1, Math.floor((width + gap) / (CONFIG.galleryThumbWidth + gap)));
+        const itemWidth = (width - gap * (columns - 1)) / columns;
+        const itemHeight = itemWidth * (CONFIG.cardHeightMM / CONFIG.cardWidthMM);
+        this.layout = { columns, itemWidth, itemHeight };
+        this.spacer.style.height = `${Math.ceil(this.indices.length / columns) * (itemHeight + gap)}px`;
+
+        for (const element of this.items.values()) {
+            element.remove();
+        }
+        this.items.clear();
+        this.renderVisible();
+    }
+
+    renderVisible() {
+        const { columns, itemWidth, itemHeight } = this.layout;
+        const rowHeight = itemHeight + CONFIG.galleryGap;
+        const firstRow = Math.max(0, Math.floor(this.scroller.scrollTop / rowHeight) - CONFIG.galleryOverscanRows);
+        const lastRow = Math.ceil((this.scroller.scrollTop + this.scroller.clientHeight) / rowHeight) + CONFIG.galleryOverscanRows;
+        const first = firstRow * columns;
+        const last = Math.min(this.indices.length, (lastRow + 1) * columns);
+
+        // Drop items that scrolled out of range, add the ones that scrolled in
+        for (const [position, element] of this.items) {
+            if (position < first || position >= last) {
+                element.remove();
+                this.items.delete(position);
+            }
+        }
+        for (let position = first; position < last; position++) {
+            if (this.items.has(position)) continue;
+            const element = this.createItem(this.indices[position]);
+            const column = position % columns;
+            const row = Math.floor(position / columns);
+            element.style.width = `${itemWidth}px`;
+            element.style.height = `${itemHeight}px`;
+            element.style.transform = `translate(${column * (itemWidth + CONFIG.galleryGap)}px, ${row * rowHeight}px)`;
+            this.spacer.appendChild(element);
+            this.items.set(position, element);
+        }
+    }
+
+    createItem(cardIndex) {
+        const card = this.app.cards[cardIndex];
+        const path = this.app.getCardPath(card);
+        const variant = this.app.variantsByPath.get(path);
+        const status = this.statuses[cardIndex];
+        const name = this.app.getCardName(path);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `gallery-card status-${status}`;
+        button.setAttribute('aria-label', `${name || `Card ${cardIndex + 1}`}, ${CARD_STATUS_LABELS[status]}`);
+
+        // The inline placeholder shows until the browser has decoded the image
+        const image = document.createElement('img');
+        image.alt = '';
+        image.decoding = 'async';
+        if (variant.placeholder) {
+            image.style.backgroundImage = `url("${variant.placeholder}")`;
+        }
+        image.src = Utils.getImagePath(variant, Utils.getImageSize(variant, this.app.thumbnailWidth));
+
+        const badge = document.createElement('span');
+        badge.className = 'gallery-status';
+        badge.textContent = CARD_STATUS_LABELS[status];
+
+        button.append(image, badge);
+        button.addEventListener('click', () => this.showMenu(cardIndex, button));
+        return button;
+    }
+
+    // Actions for one card: study it now, or add it to one of the custom decks
+    showMenu(cardIndex, anchor) {
+        const card = this.app.cards[cardIndex];
+        this.menu.replaceChildren();
+
+        const addAction = (label, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            this.menu.appendChild(button);
+        };
+
+        addAction('Study now', () => this.studyNow(cardIndex, anchor));
+        addAction('Share link', () => {
+            this.app.shareUrl(ShareLink.toUrl({ cardId: card.id }));
+            this.hideMenu();
+        });
+        for (const deck of this.app.decks.decks) {
+            if (deck.cardIds.includes(card.id)) continue;
+            addAction(`Add to ${deck.name}`, () => {
+                this.app.decks.addCard(deck.id, card.id);
+                this.app.updateDeckSelect();
+                this.hideMenu();
+            });
+        }
+
+        const anchorRect = anchor.getBoundingClientRect();
+        const panelRect = this.panel.getBoundingClientRect();
+        this.menu.style.left = `${Math.min(anchorRect.left - panelRect.left, panelRect.width - 180)}px`;
+        this.menu.style.top = `${anchorRect.top - panelRect.top + anchorRect.height / 2}px`;
+        this.menu.hidden = false;
+        this.menu.querySelector('button').focus();
+    }
+
+    hideMenu() {
+        this.menu.hidden = true;
+    }
+
+    // Back to the stack with the picked card on top: its thumbnail flies to where the card is drawn
+    async studyNow(cardIndex, anchor) {
+        this.hideMenu();
+        if (!(await this.app.studyCardNow(cardIndex))) {
+            return;
+        }
+
+        const from = anchor.getBoundingClientRect();
+        const to = {
+            left: (window.innerWidth - this.app.cardWidth) / 2,
+            top: (window.innerHeight - this.app.cardHeight) / 2,
+            width: this.app.cardWidth,
+            height: this.app.cardHeight
+        };
+
+        const flyer = anchor.querySelector('img').cloneNode();
+        flyer.className = 'gallery-flyer';
+        Object.assign(flyer.style, {
+            left: `${to.left}px`,
+            top: `${to.top}px`,
+            width: `${to.width}px`,
+            height: `${to.height}px`,
+            transformOrigin: 'top left'
+        });
+        this.dialog.appendChild(flyer);
+
+        const duration = this.app.reducedMotion ? 0 : CONFIG.galleryTransitionDuration;
+        const scale = from.width / to.width;
+        const flight = flyer.animate([
+            { transform: `translate(${from.left - to.left}px, ${from.top - to.top}px) scale(${scale})` },
+            { transform: 'none' }
+        ], { duration, easing: 'ease-in-out' });
+
+        await Promise.all([flight.finished, this.close()]);
+        flyer.remove();
+    }
+}
+
+// ==================== MAIN APPLICATION ====================
+// Card Study Application (WebGPU with a WebGL2 fallback)
+class CardStudyApp {
+    constructor() {
+        this.canvas = document.getElementById('cardCanvas');
+        this.loadingEl = document.getElementById('loading');
+        this.errorEl = document.getElementById('error');
+        this.undoButton = document.getElementById('undoButton');
+        this.redoButton = document.getElementById('redoButton');
+        this.liveRegion = document.getElementById('announcer');
+        this.modeSelect = document.getElementById('modeSelect');
+        this.deckSelect = document.getElementById('deckSelect');
+        this.shareButton = document.getElementById('shareButton');
+        this.answerForm = document.getElementById('answerForm');
+        this.answerInput = document.getElementById('answerInput');
+        this.answerSubmit = document.getElementById('answerSubmit');
+        this.answerFeedback = document.getElementById('answerFeedback');
+        this.choiceList = document.getElementById('choiceList');
+
+        this.cards = [];
+        this.cardsByPath = new Map();
+        this.deckVersion = null; // Hash of cards.json, versions the offline cache
+        this.stateManager = null;
+        this.isAnimating = false; // Current card is flinging off screen
+        this.animationProgress = 0; // How far the fling has travelled towards the screen edge (0 to 1)
+
+        // Live drag state of the current card (CSS pixels, screen y grows downwards)
+        this.isDragging = false;
+        this.isSpringingBack = false;
+        this.dragOffset = { x: 0, y: 0 };
+        this.dragRotation = 0;
+        this.isReturning = false; // Undone card flying back onto the stack
+        this.isRedoThrow = false; // Current throw re-applies an undone grade
+        this.flingVelocity = { x: 0, y: 0 }; // px/ms
+        this.flingSpin = 0; // deg/ms
+        this.renderRequested = false;
+        this.throwGrade = CONFIG.defaultGrade; // Grade recorded when the throw completes
+
+        // Inspection zoom of the current card: scale 1 = normal size, x/y = pan in CSS pixels
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.zoomAnimation = null; // Running zoom reset
+
+        // Study mode (see STUDY_MODES); masked modes cover parts of the current card until revealed
+        this.store = null; // Shared progress/settings store
+        this.decks = null; // DeckLibrary of custom decks
+        this.studyLog = null; // StudyLog of every graded card
+        this.cardShownAt = Date.now(); // When the current card came up, for time-on-card
+        this.throwStartedAt = 0;
+        this.activeDeckId = DEFAULT_DECK_ID;
+        this.mode = 'study';
+        this.maskReveal = 0; // 0 = covered, 1 = fully revealed
+        this.revealPromise = null; // Running uncover animation
+        this.pendingAnswerGrade = null; // Grade of a wrong typed answer, applied when the card is thrown
+
+        // Language variants: cards are studied in studyLang; peeking and bilingual flips show secondLang
+        this.languages = []; // Every language in the manifest
+        this.studyLang = null; // null = each card's primary language
+        this.secondLang = null;
+        this.isBilingual = false; // Taps flip between both languages instead of throwing
+        this.peekSlot = null; // Current card in the second language
+        this.langBlend = 0; // 0 = study language shown, 1 = second language shown
+        this.isFlipped = false; // Bilingual flip state of the current card
+        this.langBlendAnimation = null;
+        this.isPeekingByKey = false;
+
+        // Swap motion for short crossfades when the user asks for reduced motion
+        const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.reducedMotion = motionQuery.matches;
+        motionQuery.addEventListener('change', (e) => {
+            this.reducedMotion = e.matches;
+        });
+
+        // Card dimensions in mm
+        this.cardWidthMM = CONFIG.cardWidthMM;
+        this.cardHeightMM = CONFIG.cardHeightMM;
+
+        // Stack effect properties
+        this.cardRotations = []; // Random rotations for cards in stack
+        this.cardOffsets = []; // Random offsets for cards in stack
+        this.cardDarkenFactors = []; // Previous darken factors for animating brightness changes
+        this.currentCardInitialRotation = 0; // Initial rotation when card becomes current
+        this.currentCardInitialOffset = { x: 0, y: 0 }; // Initial offset when card becomes current
+        this.isSettling = false; // Whether current card is settling into position
+        this.settleProgress = 1.0; // Progress of settle animation (0 to 1)
+
+        // Snapshots of stack arrays during settle animation (prevents race condition)
+        this.settleStackRotations = [];
+        this.settleStackOffsets = [];
+        this.settleStackDarkenFactors = [];
+        this.settleStackStartPoses = []; // Per stack card: pose to slide in from during settle, or null
+        this.isLoadingStackCard = false; // Flag to prevent concurrent array modifications
+        this.isReloading = false; // Progress is being synced, imported or reloaded: no card can be thrown
+
+        // Rendering backend (WebGPU, or WebGL2 when WebGPU is unavailable)
+        this.renderer = null;
+        this.textureCache = null; // Created once the renderer is known
+        this.pendingTextures = new Map(); // In-flight loads, so parallel requests share one texture
+        this.currentCard = null; // Card slots: { path, texture }, texture is a placeholder until the image decodes
+        this.stackCards = [];
+        this.isRecoveringRenderer = false; // GPU device/context lost, nothing can be drawn until restored
+
+        // Images that failed to load even after retries; their cards are skipped for this session
+        this.brokenCards = new Map(); // path -> { path, cardId, name, kind, error, time }
+        this.skippedCardIds = new Set(); // Shared with every StateManager
+        this.skipChain = Promise.resolve(); // Stack rebuilds after skips run one at a time
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.setupTabCoordination();
+            const tabClaim = this.tabs.start();
+            await this.loadCardList();
+            this.link = ShareLink.parse(window.location.search);
+
+            const store = await ProgressStore.open({
+                onBlocked: () => {
+                    this.loadingEl.textContent = 'Updating… close other tabs of this app to continue.';
+                },
+                // A newer version took over the database; this tab can't save any more
+                onVersionChange: () => {
+                    this.showError('A newer version of this app was opened in another tab. Reload this page to continue.');
+                }
+            });
+            this.store = store;
+            this.decks = new DeckLibrary(store);
+            await this.decks.load();
+            this.studyLog = new StudyLog(store);
+            this.syncSettings = new SyncSettings(this);
+            await this.syncSettings.load();
+
+            // A passive tab must not write progress, so it also leaves syncing to the studying tab
+            const isStudyingTab = await tabClaim;
+            if (isStudyingTab) {
+                await this.syncSettings.syncOnStartup();
+            }
+            // Mode and study language decide which cards the session can quiz, so they come first
+            await this.loadStudyMode();
+            await this.loadLanguageSettings();
+            const savedDeckId = await store.get('settings', 'activeDeck');
+            this.stateManager = await this.createStateManager(
+                this.hasLinkedDeck() ? LINK_DECK_ID : savedDeckId || DEFAULT_DECK_ID);
+            if (this.link) {
+                await this.applyLink(isStudyingTab);
+            }
+
+            await this.initRenderer();
+            await this.setupCanvas();
+            await this.loadCurrentCards();
+            this.setupEventListeners();
+            await this.setupInputControls(store);
+            this.setupModeSelect();
+            this.setupDeckControls();
+            this.setupShareButton();
+            this.gallery = new GalleryView(this);
+            this.statsDialog = new StatsDialog(this.studyLog, this);
+            this.setupBrokenReport();
+            this.setupLanguageSettings();
+            this.setupAnswerForm();
+            this.prepareCurrentCard();
+            this.loadingEl.style.display = 'none';
+            this.render();
+            this.announceCard();
+            this.setupOfflineSupport();
+            if (!isStudyingTab) {
+                this.showTabNotice('open');
+            }
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    setupTabCoordination() {
+        this.tabDialog = document.getElementById('tabDialog');
+        this.tabMessage = document.getElementById('tabMessage');
+        this.followTimer = null;
+
+        this.tabs = new TabCoordinator({
+            onChange: (isActive, reason) => {
+                if (isActive) {
+                    this.tabDialog.close();
+                    // Pick up whatever the other tab studied in the meantime
+                    if (this.stateManager) {
+                        this.reloadProgress();
+                    }
+                } else {
+                    this.showTabNotice(reason);
+                }
+            },
+            // Follow the studying tab, so the card on top matches when the user takes over
+            onProgress: ({ deckId }) => {
+                clearTimeout(this.followTimer);
+                this.followTimer = setTimeout(() => {
+                    if (this.stateManager) {
+                        this.switchDeck(deckId);
+                    }
+                }, CONFIG.tabFollowDelay);
+            }
+        });
+
+        document.getElementById('takeOverButton').addEventListener('click', () => this.tabs.takeOver());
+        // The notice can't be dismissed without taking over
+        this.tabDialog.addEventListener('cancel', e => e.preventDefault());
+    }
+
+    showTabNotice(reason) {
+        const messages = {
+            open: 'These cards are already being studied in another tab. Studying here too would overwrite that tab\'s progress.',
+            takeover: 'You continued studying in another tab.',
+            closed: 'The other tab was closed.'
+        };
+        this.tabMessage.textContent = messages[reason] || messages.open;
+        if (!this.tabDialog.open) {
+            this.tabDialog.showModal();
+        }
+    }
+
+    // Progress for one deck; unknown or empty decks fall back to studying every card
+    async createStateManager(deckId) {
+        const isLink = deckId === LINK_DECK_ID && this.hasLinkedDeck();
+        // A link without a deck parameter studies every card
+        const deck = isLink ? this.link.deck : this.decks.get(deckId);
+        let cardIndices = this.getStudyableCardIndices(DeckLibrary.getCardIndices(deck, this.cards));
+        if ((!deck && !isLink) || cardIndices.length === 0) {
+            deckId = DEFAULT_DECK_ID;
+            cardIndices = this.getStudyableCardIndices(DeckLibrary.getCardIndices(null, this.cards));
+        }
+        // No card is named in the study language: the name modes show no question, so study every card
+        if (cardIndices.length === 0) {
+            cardIndices = DeckLibrary.getCardIndices(null, this.cards);
+        }
+        this.activeDeckId = deckId;
+
+        const stateManager = new StateManager(this.cards.map(card => card.id), this.store, {
+            deckId,
+            cardIndices,
+            skippedCardIds: this.skippedCardIds,
+            seed: deckId === LINK_DECK_ID ? this.link.seed : null,
+            linkDeck: deckId === LINK_DECK_ID && this.link.deck ? ShareLink.formatDeck(this.link.deck) : null
+        });
+        stateManager.onSave = () => this.tabs.notifyProgress(deckId);
+        stateManager.canSave = () => this.tabs.isActive;
+        await stateManager.load();
+        return stateManager;
+    }
+
+    // Pick the first backend that initializes. "?renderer=webgl2" forces a specific backend for testing.
+    async initRenderer() {
+        const forced = new URLSearchParams(window.location.search).get('renderer');
+        const backends = RENDERER_BACKENDS.filter(Backend => !forced || Backend.backendName === forced);
+
+        for (const Backend of backends) {
+            if (!Backend.isSupported()) {
+                console.log(`[initRenderer] ${Backend.backendName} not supported`);
+                continue;
+            }
+            try {
+                const renderer = new Backend(this.canvas);
+                await renderer.init();
+                renderer.onLost = () => this.recoverRenderer();
+                this.renderer = renderer;
+                this.textureCache = new TextureCache(renderer, () =>
+                    [this.currentCard, this.peekSlot, ...this.stackCards].filter(Boolean).map(slot => slot.texture));
+                console.log(`[initRenderer] Using ${renderer.name} renderer`);
+                return;
+            } catch (e) {
+                console.warn(`[initRenderer] ${Backend.backendName} failed to initialize:`, e);
+                // A canvas keeps the first context type it hands out, so retry on a fresh one
+                const freshCanvas = this.canvas.cloneNode();
+                this.canvas.replaceWith(freshCanvas);
+                this.canvas = freshCanvas;
+            }
+        }
+
+        throw new Error('Neither WebGPU nor WebGL2 is available in your browser. Please use a current version of Chrome, Edge, Firefox or Safari.');
+    }
+
+    // Offline caching is a bonus: failures are logged, never shown as app errors
+    setupOfflineSupport() {
+        if (!OfflineSupport.isSupported() || !this.deckVersion) {
+            return;
+        }
+        // Only the image sizes this screen uses are downloaded for offline use
+        const sizes = new Set(this.cards.flatMap(card => card.variants.flatMap(variant => [
+            Utils.getImageSize(variant, this.imageWidth),
+            Utils.getImageSize(variant, this.thumbnailWidth)
+        ])));
+        new OfflineSupport().register(this.deckVersion, [...sizes]).catch(err => {
+            console.warn('[setupOfflineSupport] Service worker registration failed:', err);
+        });
+    }
+
+    async loadCardList() {
+        // Load the list of all card files
+        const response = await fetch('cards.json');
+        if (!response.ok) {
+            throw new Error('Failed to load card list. Please ensure cards.json exists.');
+        }
+        const manifestText = await response.text();
+        this.cards = Utils.normalizeCardManifest(JSON.parse(manifestText));
+        // crypto.subtle (like service workers) only exists in secure contexts
+        if (window.isSecureContext) {
+            this.deckVersion = await Utils.hashText(manifestText);
+        }
+        // Every image path (one per language variant and size) leads back to its card and variant
+        this.cardsByPath = new Map();
+        this.variantsByPath = new Map();
+        for (const card of this.cards) {
+            for (const variant of card.variants) {
+                for (const image of [variant, ...Object.values(variant.sizes || {})]) {
+                    this.cardsByPath.set(image.path, card);
+                    this.variantsByPath.set(image.path, variant);
+                }
+            }
+        }
+        this.languages = [...new Set(this.cards.flatMap(card => card.variants.map(v => v.lang)).filter(Boolean))].sort();
+
+        if (this.cards.length === 0) {
+            throw new Error('No cards found in the card list.');
+        }
+    }
+
+    setupCanvas() {
+        const updateSize = () => {
+            const dpi = window.devicePixelRatio || 1;
+
+            // Calculate card size in CSS pixels (96 DPI = 1 inch = 25.4mm)
+            // NOTE: Don't multiply by devicePixelRatio here - that's only for canvas resolution
+            const mmToCssPixel = 96 / 25.4;
+            const cardWidthCss = this.cardWidthMM * mmToCssPixel;
+            const cardHeightCss = this.cardHeightMM * mmToCssPixel;
+
+            // Ensure the card fits on screen with minimum margin on all sides
+            const margin = CONFIG.minCardMargin;
+            const maxWidth = window.innerWidth - (margin * 2);
+            const maxHeight = window.innerHeight - (margin * 2);
+
+            // Scaling logic:
+            // - Mobile (< 400px width): Scale to fill available width (ignore natural size)
+            // - Desktop: Keep natural size unless too large, then scale down
+            let scale = 1;
+            if (window.innerWidth < 400) {
+                // Mobile: Scale card to fill width with margins
+                const scaleByWidth = maxWidth / cardWidthCss;
+                const scaleByHeight = maxHeight / cardHeightCss;
+                scale = Math.min(scaleByWidth, scaleByHeight);
+                Utils.debugLog(`[setupCanvas] Mobile view (${window.innerWidth}px), scaling to fit: ${scale.toFixed(4)}`);
+            } else if (cardWidthCss > maxWidth || cardHeightCss > maxHeight) {
+                // Desktop: Only scale down if card is too large
+                const scaleByWidth = maxWidth / cardWidthCss;
+                const scaleByHeight = maxHeight / cardHeightCss;
+                scale = Math.min(scaleByWidth, scaleByHeight);
+                Utils.debugLog(`[setupCanvas] Card too large, scaling down: ${scale.toFixed(4)}`);
+            } else {
+                Utils.debugLog(`[setupCanvas] Card fits, keeping natural size (scale: 1.0)`);
+            }
+
+            // Store card dimensions in CSS pixels for transform calculations
+            this.cardWidth = cardWidthCss * scale;
+            this.cardHeight = cardHeightCss * scale;
+
+            // Image resolution to load, in device pixels. Picked once so a card keeps the same image
+            // path (its identity on the stack) for the whole session; zooming loads the original.
+            if (!this.imageWidth) {
+                this.imageWidth = this.cardWidth * dpi;
+                this.thumbnailWidth = CONFIG.galleryThumbWidth * dpi;
+            }
+
+            Utils.debugLog(`[setupCanvas] DPI: ${dpi}, innerWidth: ${window.innerWidth}, innerHeight: ${window.innerHeight}`);
+            Utils.debugLog(`[setupCanvas] cardWidthCss: ${cardWidthCss.toFixed(2)}, cardHeightCss: ${cardHeightCss.toFixed(2)}`);
+            Utils.debugLog(`[setupCanvas] margin: ${margin}, maxWidth: ${maxWidth}, maxHeight: ${maxHeight}`);
+            Utils.debugLog(`[setupCanvas] scale: ${scale.toFixed(4)}`);
+            Utils.debugLog(`[setupCanvas] final cardWidth: ${this.cardWidth.toFixed(2)}, cardHeight: ${this.cardHeight.toFixed(2)}`);
+            Utils.debugLog(`[setupCanvas] canvasWidthCss: ${this.canvasWidthCss}, canvasHeightCss: ${this.canvasHeightCss}`);
+
+            this.canvas.width = window.innerWidth * dpi;
+            this.canvas.height = window.innerHeight * dpi;
+            this.canvas.style.width = `${window.innerWidth}px`;
+            this.canvas.style.height = `${window.innerHeight}px`;
+
+            // Let the backend recreate size-dependent resources (e.g. the depth texture)
+            if (this.renderer) {
+                this.renderer.resize();
+            }
+        };
+
+        updateSize();
+        window.addEventListener('resize', updateSize);
+    }
+
+    async loadCurrentCards() {
+        Utils.debugLog(`[loadCurrentCards] Loading card ${this.stateManager.currentCardIndex}`);
+
+        // Load current card
+        const currentCardPath = this.getCardPath(this.stateManager.getCurrentCard(this.cards));
+        this.currentCard = await this.loadCardSlot(currentCardPath);
+        Utils.debugLog(`[loadCurrentCards] Current card loaded: ${currentCardPath}`);
+
+        // Load next few cards for the stack effect (in parallel for speed)
+        this.stackCards = [];
+        this.cardRotations = [];
+        this.cardOffsets = [];
+        const cardsToPreload = Math.min(CONFIG.preloadCount, this.stateManager.getRemainingCards());
+        Utils.debugLog(`[loadCurrentCards] Preloading ${cardsToPreload} stack cards`);
+
+        // Build array of promises to load in parallel
+        const loadPromises = [];
+        for (let i = 1; i <= cardsToPreload; i++) {
+            const card = this.stateManager.getStackCard(this.cards, i);
+            if (card) {
+                loadPromises.push(this.loadCardSlot(this.getCardPath(card)));
+
+                const pose = this.createStackPose();
+                this.cardRotations.push(pose.rotation);
+                this.cardOffsets.push(pose.offset);
+            }
+        }
+
+        // Wait for all slots in parallel (placeholders are ready long before the full images)
+        this.stackCards = await Promise.all(loadPromises);
+        Utils.debugLog(`[loadCurrentCards] Stack loaded: ${this.stackCards.length} cards`);
+    }
+
+    // Slot for one on-screen card. Until the full image has decoded it shows a placeholder,
+    // so a slow connection never leaves an empty place on the stack.
+    async loadCardSlot(path) {
+        if (this.textureCache.has(path)) {
+            return { path, texture: await this.loadTexture(path) };
+        }
+
+        const slot = { path, texture: null, isPlaceholder: false, isReleased: false };
+
+        this.loadTexture(path).then(texture => {
+            // Zooming already swapped in the original image
+            if (slot.fullResolution) return;
+            if (slot.isPlaceholder) {
+                this.renderer.destroyTexture(slot.texture);
+            }
+            slot.texture = texture;
+            slot.isPlaceholder = false;
+            this.requestRender();
+        }).catch(err => {
+            console.error(`[loadCardSlot] Error loading ${path}:`, err);
+            this.quarantineCard(path, err);
+            // The slot leaves the screen once the broken card was skipped; its placeholder can go then
+            this.skipChain.then(() => this.releaseBrokenSlot(slot));
+        });
+
+        const placeholder = await this.createPlaceholderTexture(path);
+        if (slot.texture || slot.isReleased) {
+            // Full image won the race, or the image failed and the slot was already released
+            this.renderer.destroyTexture(placeholder);
+        } else {
+            slot.texture = placeholder;
+            slot.isPlaceholder = true;
+        }
+        return slot;
+    }
+
+    // Free the placeholder of a slot whose full image failed to load (nothing draws the slot any more)
+    releaseBrokenSlot(slot) {
+        if (slot.isPlaceholder) {
+            this.renderer.destroyTexture(slot.texture);
+            slot.texture = null;
+            slot.isPlaceholder = false;
+        }
+        slot.isReleased = true;
+    }
+
+    // Tiny blurred thumbnail from the manifest, or a plain card-colored pixel without one
+    async createPlaceholderTexture(path) {
+        const variant = this.variantsByPath.get(path);
+        let imageBitmap = null;
+
+        if (variant && variant.placeholder) {
+            try {
+                const response = await fetch(variant.placeholder);
+                imageBitmap = await createImageBitmap(await response.blob());
+            } catch (e) {
+                console.warn(`[createPlaceholderTexture] Bad placeholder for ${path}:`, e);
+            }
+        }
+        if (!imageBitmap) {
+            const pixel = new ImageData(new Uint8ClampedArray(CONFIG.placeholderColor), 1, 1);
+            imageBitmap = await createImageBitmap(pixel);
+        }
+
+        const texture = this.renderer.createTexture(imageBitmap);
+        imageBitmap.close();
+        return texture;
+    }
+
+    async loadTexture(path) {
+        const cached = this.textureCache.get(path);
+        if (cached) {
+            return cached;
+        }
+        if (this.pendingTextures.has(path)) {
+            return this.pendingTextures.get(path);
+        }
+        const broken = this.brokenCards.get(path);
+        if (broken) {
+            throw Object.assign(new Error(broken.error), { kind: broken.kind });
+        }
+
+        const load = (async () => {
+            const imageBitmap = await this.fetchCardImage(path);
+
+            const texture = this.renderer.createTexture(imageBitmap);
+
+            // RGBA8, one byte per channel; the mip chain adds about a third
+            this.textureCache.set(path, texture, Math.ceil(imageBitmap.width * imageBitmap.height * 4 * 4 / 3));
+            imageBitmap.close();
+            Utils.debugLog('[loadTexture] Cache stats:', this.textureCache.getStats());
+            return texture;
+        })();
+
+        this.pendingTextures.set(path, load);
+        try {
+            return await load;
+        } finally {
+            this.pendingTextures.delete(path);
+        }
+    }
+
+    // Fetch and decode a card image, retrying with exponential backoff while a retry can help
+    async fetchCardImage(path) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await Utils.fetchImageBitmap(path);
+            } catch (e) {
+                if (attempt >= CONFIG.imageLoadAttempts || !Utils.isRetryableLoadError(e)) {
+                    throw e;
+                }
+                const delay = CONFIG.imageRetryDelay * 2 ** (attempt - 1);
+                console.warn(`[fetchCardImage] ${path}: ${e.message}, retrying in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // A card image that won't load is listed in the broken-cards report. When it is the image a card
+    // is studied with, the card is skipped for the rest of the session.
+    quarantineCard(path, error) {
+        const card = this.cardsByPath.get(path);
+        if (!this.brokenCards.has(path)) {
+            this.brokenCards.set(path, {
+                path,
+                cardId: card ? card.id : null,
+                name: this.getCardName(path),
+                kind: error.kind || 'decode',
+                error: error.message,
+                time: Date.now()
+            });
+            this.updateBrokenReport();
+        }
+
+        if (this.peekSlot && this.peekSlot.path === path) {
+            this.peekSlot = null;
+            this.langBlend = 0;
+            this.isFlipped = false;
+            this.requestRender();
+        }
+        if (card && path === this.getCardPath(card)) {
+            this.skippedCardIds.add(card.id);
+            this.skipChain = this.skipChain
+                .then(() => this.skipBrokenCard(this.cards.indexOf(card)))
+                .catch(e => console.error('[quarantineCard] Could not skip card:', e));
+        }
+    }
+
+    // Take a skipped card out of the queue once nothing is moving, and rebuild the stack if it was on screen
+    async skipBrokenCard(cardIndex) {
+        await this.whenIdle();
+        const path = this.getCardPath(this.cards[cardIndex]);
+        const wasCurrent = this.currentCard && this.currentCard.path === path;
+        const wasOnScreen = [this.currentCard, ...this.stackCards].some(slot => slot && slot.path === path);
+
+        this.stateManager.skipCard(cardIndex);
+        if (this.stateManager.getRemainingCards() === 0) {
+            this.showError('None of the cards in this deck could be loaded. Check your connection and reload the page.');
+            return;
+        }
+        if (!wasOnScreen) {
+            return;
+        }
+
+        this.isLoadingStackCard = true;
+        try {
+            await this.loadCurrentCards();
+        } finally {
+            this.isLoadingStackCard = false;
+        }
+        if (wasCurrent) {
+            this.prepareCurrentCard();
+            this.announceCard();
+        }
+        this.updateHistoryButtons();
+        this.render();
+    }
+
+    // Resolves once no throw, drag, return, settle, stack load or progress reload is running
+    whenIdle() {
+        return new Promise((resolve) => {
+            const check = () => {
+                if (this.isAnimating || this.isReturning || this.isDragging || this.isSettling || this.isLoadingStackCard ||
+                    this.isReloading) {
+                    requestAnimationFrame(check);
+                } else {
+                    resolve();
+                }
+            };
+            check();
+        });
+    }
+
+    setupBrokenReport() {
+        this.brokenButton = document.getElementById('brokenButton');
+        this.brokenDialog = document.getElementById('brokenDialog');
+        this.brokenList = document.getElementById('brokenList');
+
+        this.brokenButton.addEventListener('click', () => this.brokenDialog.showModal());
+        document.getElementById('retryBrokenButton').addEventListener('click', () => this.retryBrokenCards());
+        document.getElementById('downloadBrokenReportButton').addEventListener('click', () => {
+            const report = { created: new Date().toISOString(), cards: [...this.brokenCards.values()] };
+            Utils.downloadFile('broken-cards.json', JSON.stringify(report, null, 2), 'application/json');
+        });
+
+        // Cards that only failed because the connection dropped get another chance once it is back
+        window.addEventListener('online', () => this.retryBrokenCards(entry => entry.kind === 'network'));
+        this.updateBrokenReport();
+    }
+
+    updateBrokenReport() {
+        if (!this.brokenButton) return;
+        const count = this.brokenCards.size;
+        this.brokenButton.hidden = count === 0;
+        this.brokenButton.textContent = `\u26A0 ${count}`;
+        this.brokenButton.setAttribute('aria-label', `${count} ${count === 1 ? 'card' : 'cards'} could not be loaded`);
+
+        this.brokenList.replaceChildren();
+        for (const entry of this.brokenCards.values()) {
+            const item = document.createElement('li');
+            item.textContent = `${entry.name || entry.cardId || entry.path}: ${entry.error}`;
+            item.title = entry.path;
+            this.brokenList.appendChild(item);
+        }
+    }
+
+    // Forget failures (all, or those matching `filter`); those cards come back in later queues
+    retryBrokenCards(filter = () => true) {
+        for (const [path, entry] of this.brokenCards) {
+            if (!filter(entry)) continue;
+            this.brokenCards.delete(path);
+            if (entry.cardId) {
+                this.skippedCardIds.delete(entry.cardId);
+            }
+        }
+        this.updateBrokenReport();
+        if (this.brokenCards.size === 0) {
+            this.brokenDialog.close();
+        }
+    }
+
+    // The GPU device (WebGPU) or context (WebGL) was lost, e.g. while a mobile tab was in the
+    // background: rebuild the renderer, then upload the cards on screen again
+    async recoverRenderer() {
+        if (this.isRecoveringRenderer) return;
+        this.isRecoveringRenderer = true;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.renderer.restore();
+                break;
+            } catch (e) {
+                console.warn(`[recoverRenderer] Restore attempt ${attempt} failed:`, e);
+                if (attempt >= CONFIG.rendererRestoreAttempts) {
+                    this.showError('The graphics device was lost and could not be restored. Please reload the page.');
+                    return;
+                }
+                await new Promise(resolve => setTimeout(resolve, CONFIG.imageRetryDelay * 2 ** (attempt - 1)));
+            }
+        }
+        console.log(`[recoverRenderer] ${this.renderer.name} restored, reloading visible cards`);
+
+        // Every texture died with the device
+        this.textureCache.clear();
+        this.pendingTextures.clear();
+        if (this.currentCard) {
+            const slots = [this.currentCard, ...this.stackCards];
+            const reloaded = await Promise.all(slots.map(slot => this.loadCardSlot(slot.path)));
+            reloaded.forEach((slot, i) => {
+                slot.stackPose = slots[i].stackPose; // Kept for undo
+            });
+            [this.currentCard, ...this.stackCards] = reloaded;
+            await this.loadPeekSlot();
+        }
+
+        this.isRecoveringRenderer = false;
+        this.render();
+    }
+
+    setupEventListeners() {
+        let gesture = null;
+        let pinch = null;
+        let lastTapTime = 0;
+        const pointers = new Map(); // Pointer id -> latest position, for pinch zoom
+
+        const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+        const trackSample = (e) => {
+            const now = performance.now();
+            gesture.samples.push({ x: e.clientX, y: e.clientY, t: now });
+            // Only keep recent samples so the release velocity reflects the end of the gesture
+            while (gesture.samples.length > 2 && now - gesture.samples[0].t > CONFIG.velocitySampleWindow) {
+                gesture.samples.shift();
+            }
+        };
+
+        // A second finger turns whatever the first one was doing into a pinch
+        const startPinch = () => {
+            if (gesture) {
+                clearTimeout(gesture.peekTimer);
+                if (gesture.isPeeking) {
+                    this.setPeek(false);
+                }
+                if (!gesture.isPanning) {
+                    this.isDragging = false;
+                    this.springBack();
+                }
+                gesture = null;
+            }
+            const [a, b] = [...pointers.values()];
+            pinch = {
+                startDistance: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+                startMidpoint: midpoint(a, b),
+                baseZoom: { ...this.zoom }
+            };
+        };
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            if (this.isAnimating || this.isReturning || this.isReloading) return;
+
+            this.canvas.setPointerCapture(e.pointerId);
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (pointers.size === 2) {
+                startPinch();
+                return;
+            }
+            if (gesture || pinch || !e.isPrimary) return;
+
+            gesture = {
+                pointerId: e.pointerId,
+                startX: e.clientX,
+                startY: e.clientY,
+                startTime: performance.now(),
+                samples: [],
+                isPanning: this.isZoomed() // Zoomed cards are panned, never thrown
+            };
+            trackSample(e);
+
+            if (gesture.isPanning) {
+                gesture.baseZoom = { ...this.zoom };
+                return;
+            }
+
+            // Grab the card wherever it currently is (e.g. mid spring-back)
+            gesture.baseOffset = { ...this.dragOffset };
+            this.isSpringingBack = false;
+            this.isDragging = true;
+
+            // Holding still on the card peeks at its second language
+            if (this.peekSlot) {
+                const peekGesture = gesture;
+                gesture.peekTimer = setTimeout(() => {
+                    if (gesture === peekGesture) {
+                        gesture.isPeeking = true;
+                        this.setPeek(true);
+                    }
+                }, CONFIG.peekHoldDelay);
+            }
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!pointers.has(e.pointerId)) return;
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (pinch) {
+                const [a, b] = [...pointers.values()];
+                const scale = pinch.baseZoom.scale * Math.hypot(b.x - a.x, b.y - a.y) / pinch.startDistance;
+                this.zoomAround(pinch.baseZoom, scale, pinch.startMidpoint, midpoint(a, b));
+                return;
+            }
+
+            if (!gesture || e.pointerId !== gesture.pointerId || gesture.isPeeking) return;
+            trackSample(e);
+
+            if (gesture.isPanning) {
+                this.setZoom({
+                    scale: gesture.baseZoom.scale,
+                    x: gesture.baseZoom.x + e.clientX - gesture.startX,
+                    y: gesture.baseZoom.y + e.clientY - gesture.startY
+                });
+                return;
+            }
+
+            if (Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY) >= CONFIG.swipeMinDistance) {
+                clearTimeout(gesture.peekTimer);
+            }
+
+            this.dragOffset = {
+                x: gesture.baseOffset.x + e.clientX - gesture.startX,
+                y: gesture.baseOffset.y + e.clientY - gesture.startY
+            };
+            this.dragRotation = Utils.getDragTilt(this.dragOffset.x);
+            this.requestRender();
+        });
+
+        const handleRelease = (e) => {
+            pointers.delete(e.pointerId);
+
+            // The pinch ends when either finger lifts; the one left behind doesn't start a drag
+            if (pinch) {
+                if (pointers.size < 2) {
+                    pinch = null;
+                }
+                return;
+            }
+
+            if (!gesture || e.pointerId !== gesture.pointerId) return;
+            clearTimeout(gesture.peekTimer);
+
+            // Letting go of a peek just returns to the card, it never throws
+            if (gesture.isPeeking) {
+                gesture = null;
+                this.isDragging = false;
+                this.setPeek(false);
+                this.springBack();
+                return;
+            }
+
+            trackSample(e);
+
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+            const distance = Math.hypot(dx, dy);
+            const duration = performance.now() - gesture.startTime;
+            const velocity = Utils.getReleaseVelocity(gesture.samples);
+            const speed = Math.hypot(velocity.x, velocity.y);
+            const wasPanning = gesture.isPanning;
+            gesture = null;
+            this.isDragging = false;
+
+            // No throws while zoomed; a quick second tap resets the zoom
+            if (wasPanning) {
+                const now = performance.now();
+                if (distance < CONFIG.swipeMinDistance && duration < CONFIG.tapMaxDuration) {
+                    if (now - lastTapTime < CONFIG.doubleTapMaxDelay) {
+                        lastTapTime = 0;
+                        this.resetZoom();
+                    } else {
+                        lastTapTime = now;
+                    }
+                }
+                return;
+            }
+
+            if (e.type === 'pointercancel') {
+                this.springBack();
+            } else if (distance < CONFIG.swipeMinDistance && duration < CONFIG.tapMaxDuration) {
+                this.throwCard();
+            } else if (distance >= CONFIG.flingMinDistance ||
+                       (distance >= CONFIG.swipeMinDistance && speed >= CONFIG.flingMinSpeed)) {
+                this.throwCard(velocity, { x: dx, y: dy });
+            } else {
+                this.springBack();
+            }
+        };
+
+        this.canvas.addEventListener('pointerup', handleRelease);
+        this.canvas.addEventListener('pointercancel', handleRelease);
+
+        // Wheel (and trackpad pinch, which arrives as ctrl+wheel) zooms around the cursor
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            if (this.isAnimating || this.isReturning || this.isDragging) return;
+            const delta = e.deltaMode === WheelEvent.DOM_DELTA_PIXEL ? e.deltaY : e.deltaY * 40;
+            const scale = this.zoom.scale * Math.exp(-delta * CONFIG.zoomWheelSpeed);
+            this.zoomAround(this.zoom, scale, { x: e.clientX, y: e.clientY });
+        }, { passive: false });
+        window.addEventListener('resize', () => this.setZoom(this.zoom));
+
+        this.undoButton.addEventListener('click', () => this.undoThrow());
+        this.redoButton.addEventListener('click', () => this.redoThrow());
+        this.updateHistoryButtons();
+    }
+
+    requestRender() {
+        if (this.renderRequested) return;
+        this.renderRequested = true;
+        requestAnimationFrame(() => {
+            this.renderRequested = false;
+            this.render();
+        });
+    }
+
+    // Fling the current card off screen. Without a release velocity this is a tap throw.
+    // In a masked mode the first tap or swipe reveals the card instead; grading comes after.
+    // `grade` overrides the grade the throw direction would record.
+    throwCard(velocity = null, displacement = { x: 0, y: 0 }, grade = null) {
+        if (this.isMaskPending() && !this.isRedoThrow) {
+            this.springBack();
+            this.giveUpAnswer();
+            this.revealMask();
+            return;
+        }
+
+        // Bilingual mode: taps flip between the two languages, swipes grade
+        if (this.isBilingual && !velocity && this.peekSlot && !this.isRedoThrow) {
+            this.springBack();
+            this.flipLanguage();
+            return;
+        }
+
+        this.isAnimating = true;
+        this.animationProgress = 0;
+        this.throwStartedAt = Date.now();
+
+        let launch;
+        if (velocity) {
+            // Grade by where the card was flung; a slow release is graded by how far it was dragged
+            const speed = Math.hypot(velocity.x, velocity.y);
+            const aim = speed >= CONFIG.flingMinSpeed ? velocity : displacement;
+            const direction = Utils.getSwipeDirection(aim.x, aim.y) || CONFIG.tapDirection;
+            this.throwGrade = CONFIG.swipeGrades[direction];
+
+            // Slow releases still need to leave the screen promptly
+            const aimLength = Math.hypot(aim.x, aim.y) || 1;
+            const launchSpeed = Math.max(speed, CONFIG.flingMinSpeed);
+            launch = { x: (aim.x / aimLength) * launchSpeed, y: (aim.y / aimLength) * launchSpeed };
+            Utils.debugLog(`[throwCard] Fling ${direction} at ${launchSpeed.toFixed(2)}px/ms, grade: ${this.throwGrade}`);
+        } else {
+            const [ax, ay] = SWIPE_AXES[CONFIG.tapDirection];
+            this.throwGrade = CONFIG.swipeGrades[CONFIG.tapDirection];
+            launch = { x: ax * CONFIG.tapThrowSpeed, y: ay * CONFIG.tapThrowSpeed };
+            Utils.debugLog(`[throwCard] Tap throw ${CONFIG.tapDirection}, grade: ${this.throwGrade}`);
+        }
+
+        // A wrong typed answer stays wrong whichever way the card is thrown
+        if (grade || this.pendingAnswerGrade) {
+            this.throwGrade = grade || this.pendingAnswerGrade;
+        }
+
+        this.flingVelocity = launch;
+        this.flingSpin = launch.x * CONFIG.flingSpinFactor;
+
+        this.animateThrow();
+    }
+
+    // Throw as if swiped toward `direction` ('right', 'left', 'up' or 'down')
+    throwInDirection(direction, grade = null) {
+        const [ax, ay] = SWIPE_AXES[direction];
+        this.throwCard({ x: ax * CONFIG.tapThrowSpeed, y: ay * CONFIG.tapThrowSpeed }, { x: 0, y: 0 }, grade);
+    }
+
+    animateThrow() {
+        if (this.reducedMotion) {
+            this.animateThrowCrossfade();
+            return;
+        }
+
+        const startTime = performance.now();
+        let lastTime = startTime;
+
+        // The fling is done once the card's bounding circle has fully left the screen
+        const cardRadius = Math.hypot(this.cardWidth, this.cardHeight) / 2;
+        const exitX = window.innerWidth / 2 + cardRadius;
+        const exitY = window.innerHeight / 2 + cardRadius;
+
+        const animate = (currentTime) => {
+            const dt = currentTime - lastTime;
+            lastTime = currentTime;
+
+            this.dragOffset = {
+                x: this.dragOffset.x + this.flingVelocity.x * dt,
+                y: this.dragOffset.y + this.flingVelocity.y * dt
+            };
+            this.dragRotation += this.flingSpin * dt;
+            this.animationProgress = Math.min(
+                Math.max(Math.abs(this.dragOffset.x) / exitX, Math.abs(this.dragOffset.y) / exitY),
+                1
+            );
+
+            this.render();
+
+            if (this.animationProgress < 1 && currentTime - startTime < CONFIG.flingMaxDuration) {
+                requestAnimationFrame(animate);
+            } else {
+                // Remember where the card left, so an undo can bring it back the same way
+                const exit = { x: this.dragOffset.x, y: this.dragOffset.y, rotation: this.dragRotation };
+                this.dragOffset = { x: 0, y: 0 };
+                this.dragRotation = 0;
+                this.onCardThrowComplete(exit);
+            }
+        };
+
+        requestAnimationFrame(animate);
+    }
+
+    // Reduced-motion throw: the card fades out where it is, revealing the stack underneath
+    animateThrowCrossfade() {
+        const startTime = performance.now();
+
+        const animate = (currentTime) => {
+            this.animationProgress = Math.min((currentTime - startTime) / CONFIG.crossfadeDuration, 1);
+            this.render();
+
+            if (this.animationProgress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                const exit = { x: this.dragOffset.x, y: this.dragOffset.y, rotation: this.dragRotation };
+                this.dragOffset = { x: 0, y: 0 };
+                this.dragRotation = 0;
+                this.onCardThrowComplete(exit);
+            }
+        };
+
+        requestAnimationFrame(animate);
+    }
+
+    // Return a released card that was not flung hard enough back to the center
+    springBack() {
+        this.isSpringingBack = true;
+        const startOffset = { ...this.dragOffset };
+        const startRotation = this.dragRotation;
+        const startTime = performance.now();
+
+        const animate = (currentTime) => {
+            // A new drag grabbed the card mid-animation
+            if (!this.isSpringingBack) return;
+
+            const progress = Math.min((currentTime - startTime) / CONFIG.springBackDuration, 1);
+            const remaining = 1 - Utils.easeOutCubic(progress);
+            this.dragOffset = { x: startOffset.x * remaining, y: startOffset.y * remaining };
+            this.dragRotation = startRotation * remaining;
+
+            this.render();
+
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                this.isSpringingBack = false;
+            }
+        };
+
+        requestAnimationFrame(animate);
+    }
+
+    isZoomed() {
+        return this.zoom.scale > 1;
+    }
+
+    // Zooming stops once one image pixel of the current card covers zoomMaxPixelsPerTexel CSS pixels
+    getMaxZoom() {
+        if (!this.currentCard) return 1;
+        const variant = this.variantsByPath.get(this.currentCard.path);
+        if (!variant || !variant.width) return CONFIG.zoomMaxFallback;
+        return Math.max(1, variant.width * CONFIG.zoomMaxPixelsPerTexel / this.cardWidth);
+    }
+
+    // Apply a zoom, with the pan limited so the zoomed card always covers its normal footprint
+    setZoom(zoom) {
+        const maxX = this.cardWidth * (zoom.scale - 1) / 2;
+        const maxY = this.cardHeight * (zoom.scale - 1) / 2;
+        this.zoom = {
+            scale: zoom.scale,
+            x: Math.min(Math.max(zoom.x, -maxX), maxX),
+            y: Math.min(Math.max(zoom.y, -maxY), maxY)
+        };
+        this.zoomAnimation = null;
+        if (this.isZoomed()) {
+            this.loadFullResolution();
+        }
+        this.requestRender();
+    }
+
+    // Zoom from `base` to `scale` around a screen point, optionally moving that point to `to`
+    zoomAround(base, scale, from, to = from) {
+        const center = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+        const clamped = Math.min(Math.max(scale, 1), this.getMaxZoom());
+        this.setZoom(Utils.zoomAt(base, clamped,
+            { x: from.x - center.x, y: from.y - center.y },
+            { x: to.x - center.x, y: to.y - center.y }));
+    }
+
+    // Back to normal size; animated unless `animated` is false or the user asks for reduced motion
+    resetZoom(animated = true) {
+        if (!animated || this.reducedMotion || !this.isZoomed()) {
+            this.zoom = { scale: 1, x: 0, y: 0 };
+            this.zoomAnimation = null;
+            this.requestRender();
+            return;
+        }
+
+        const start = { ...this.zoom };
+        const startTime = performance.now();
+        const animation = {};
+        this.zoomAnimation = animation;
+
+        const animate = (currentTime) => {
+            // A new pinch or wheel zoom took over
+            if (this.zoomAnimation !== animation) return;
+
+            const progress = Math.min((currentTime - startTime) / CONFIG.zoomResetDuration, 1);
+            const remaining = 1 - Utils.easeOutCubic(progress);
+            this.zoom = {
+                scale: 1 + (start.scale - 1) * remaining,
+                x: start.x * remaining,
+                y: start.y * remaining
+            };
+
+            this.render();
+
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                this.zoom = { scale: 1, x: 0, y: 0 };
+                this.zoomAnimation = null;
             }
+        };
 
-            @group(0) @binding(0) var<uniform> uniforms: Uniforms;
-            @group(0) @binding(1) var textureSampler: sampler;
-            @group(0) @binding(2) var textureData: texture_2d<f32>;
+        requestAnimationFrame(animate);
+    }
 
-            @vertex
-            fn vs_main(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
-                var pos = array<vec2<f32>, 6>(
-                    vec2<f32>(-1.0, -1.0),
-                    vec2<f32>(1.0, -1.0),
-                    vec2<f32>(1.0, 1.0),
-                    vec2<f32>(-1.0, -1.0),
-                    vec2<f32>(1.0, 1.0),
-                    vec2<f32>(-1.0, 1.0)
-                );
+    async onCardThrowComplete(exit) {
+        this.isAnimating = false;
+        Utils.debugLog(`[onCardThrowComplete] Card thrown, advancing from ${this.stateManager.currentCardIndex}`);
+        Utils.debugLog(`[onCardThrowComplete] Stack state before: ${this.stackCards.length} cards, rotations: ${this.cardRotations.length}, offsets: ${this.cardOffsets.length}`);
 
-                var texCoord = array<vec2<f32>, 6>(
-                    vec2<f32>(0.0, 1.0),
-                    vec2<f32>(1.0, 1.0),
-                    vec2<f32>(1.0, 0.0),
-                    vec2<f32>(0.0, 1.0),
-                    vec2<f32>(1.0, 0.0),
-                    vec2<f32>(0.0, 0.0)
-                );
+        // Capture the rotation/offset of the next card BEFORE advancing
+        // The next card (currently at index 0 of stack arrays) will become the current card
+        const nextCardRotation = this.cardRotations.length > 0 ? this.cardRotations[0] : 0;
 
-                var output: VertexOutput;
-                let transformed = uniforms.transform * vec4<f32>(pos[vertexIndex], 0.0, 1.0);
-                output.position = vec4<f32>(transformed.xy, uniforms.depth, transformed.w);
-                output.texCoord = texCoord[vertexIndex];
-                return output;
+        // Use only the random offset (no systematic offset)
+        let nextCardOffset = { x: 0, y: 0 };
+        if (this.cardOffsets.length > 0) {
+            nextCardOffset = {
+                x: this.cardOffsets[0].x,
+                y: this.cardOffsets[0].y
+            };
+        }
+        Utils.debugLog(`[onCardThrowComplete] Next card rotation: ${nextCardRotation}°, offset: (${nextCardOffset.x.toFixed(1)}, ${nextCardOffset.y.toFixed(1)})px`);
+
+        // Calculate and save old darken factors BEFORE incrementing index
+        // This captures the current stack positions before the shift
+        this.cardDarkenFactors = this.stackCards.map((_, i) => {
+            const oldStackLayer = i + 1; // 1 for front card (i=0), 2 for next (i=1), etc.
+            return 1.0 - (oldStackLayer * CONFIG.stackDarkenPerLayer);
+        });
+
+        // A redo re-applies the undone throw, including its original log entry
+        const redoEntry = this.isRedoThrow ? this.stateManager.peekRedo() : null;
+        const grade = redoEntry ? redoEntry.grade : this.throwGrade;
+        const logEntry = redoEntry && redoEntry.meta
+            ? redoEntry.meta.logEntry
+            : StudyLog.createEntry({
+                cardId: this.stateManager.getCurrentCard(this.cards).id,
+                shownAt: this.cardShownAt,
+                grade,
+                mode: this.mode,
+                deck: this.activeDeckId,
+                lang: (this.variantsByPath.get(this.currentCard.path) || {}).lang || null
+            }, this.throwStartedAt);
+        const hasMore = this.isRedoThrow
+            ? this.stateManager.redo()
+            : this.stateManager.advance(this.throwGrade, { exit, logEntry });
+        this.studyLog.add(logEntry);
+        this.isRedoThrow = false;
+        this.updateHistoryButtons();
+
+        if (!hasMore) {
+            Utils.debugLog(`[onCardThrowComplete] Queue complete, rebuilding from due cards`);
+            // Rebuild the queue from whatever is due now
+            this.stateManager.reset();
+            await this.loadCurrentCards();
+        } else {
+
+            // Move the first card from stack to current (it's already loaded!)
+            if (this.stackCards.length > 0) {
+                Utils.debugLog(`[onCardThrowComplete] Using preloaded card from stack`);
+                this.currentCard = this.stackCards[0];
+                // Kept so an undo can put the card back exactly where it lay
+                this.currentCard.stackPose = { rotation: nextCardRotation, offset: nextCardOffset };
+
+                // Shift all arrays including darken factors
+                this.stackCards.shift();
+                this.cardRotations.shift();
+                this.cardOffsets.shift();
+                this.cardDarkenFactors.shift(); // Remove the front card's old darken factor
+
+                Utils.debugLog(`[onCardThrowComplete] Stack state after shift: ${this.stackCards.length} cards`);
+
+                // Create snapshots of current stack arrays BEFORE loading new card
+                // This prevents race condition where loadNextStackCard() modifies arrays during settle animation
+                this.settleStackRotations = [...this.cardRotations];
+                this.settleStackOffsets = [...this.cardOffsets];
+                this.settleStackDarkenFactors = [...this.cardDarkenFactors];
+                this.settleStackStartPoses = [];
+
+                // Load one new card at the end of the stack (async, don't wait)
+                this.isLoadingStackCard = true;
+                this.loadNextStackCard().then(() => {
+                    this.isLoadingStackCard = false;
+                    Utils.debugLog(`[onCardThrowComplete] Stack card loaded, flag cleared`);
+                }).catch(err => {
+                    this.isLoadingStackCard = false;
+                    console.error(`[onCardThrowComplete] Error loading stack card:`, err);
+                });
+            } else {
+                console.warn(`[onCardThrowComplete] Stack was empty! Falling back to full load`);
+                // Fallback: no cards in stack, load normally
+                await this.loadCurrentCards();
             }
+        }
 
-            @fragment
-            fn fs_main(input: VertexOutput) -> @location(0) vec4<f32> {
-                let color = textureSample(textureData, textureSampler, input.texCoord);
-                // Apply darkening tint to background cards
-                let darkenedColor = color.rgb * uniforms.darkenFactor;
-                return vec4<f32>(darkenedColor, color.a * uniforms.opacity);
+        this.prepareCurrentCard();
+        this.announceCard(grade);
+
+        // Start settle animation only if there was a card in the stack to animate from
+        // (Skip on first card, when stack was empty, or with reduced motion)
+        if (!this.reducedMotion && (nextCardRotation !== 0 || nextCardOffset.x !== 0 || nextCardOffset.y !== 0)) {
+            Utils.debugLog(`[onCardThrowComplete] Starting settle animation`);
+            this.currentCardInitialRotation = nextCardRotation;
+            this.currentCardInitialOffset = nextCardOffset;
+            this.isSettling = true;
+            this.settleProgress = 0;
+            this.animateSettle();
+        } else {
+            Utils.debugLog(`[onCardThrowComplete] Skipping settle animation, just rendering`);
+            // No animation needed, just render
+            this.render();
+        }
+    }
+
+    // Bring the last thrown card back: it flies in along its exit path (a reversed throw) while the
+    // current card slides back onto the stack and the stack darkens one layer
+    async undoThrow() {
+        if (this.isAnimating || this.isReturning || this.isDragging || this.isLoadingStackCard || this.isReloading ||
+            !this.stateManager.canUndo()) {
+            return;
+        }
+        this.isReturning = true;
+        this.isSpringingBack = false;
+
+        // Brightness of every card before the shift: current card is fully lit, stack by layer
+        const oldDarkenFactors = [1.0, ...this.stackCards.map((_, i) => 1.0 - ((i + 1) * CONFIG.stackDarkenPerLayer))];
+
+        const meta = this.stateManager.undo();
+        this.updateHistoryButtons();
+        if (meta && meta.logEntry) {
+            this.studyLog.remove(meta.logEntry.key);
+        }
+        // With reduced motion the card fades back in place instead of flying in
+        const exit = this.reducedMotion
+            ? { x: 0, y: 0, rotation: 0 }
+            : (meta && meta.exit) || { x: -window.innerWidth, y: 0, rotation: 0 };
+
+        // The undone throw may have rebuilt the queue; only shift the stack if it still matches
+        const previousCard = this.currentCard;
+        const stackStillValid = [previousCard, ...this.stackCards].every((slot, i) => {
+            const card = this.stateManager.getStackCard(this.cards, i + 1);
+            return card && slot.path === this.getCardPath(card);
+        });
+
+        if (stackStillValid) {
+            const returningCard = await this.loadCardSlot(this.getCardPath(this.stateManager.getCurrentCard(this.cards)));
+            const pose = previousCard.stackPose || this.createStackPose();
+            this.stackCards.unshift(previousCard);
+            this.cardRotations.unshift(pose.rotation);
+            this.cardOffsets.unshift(pose.offset);
+            this.cardDarkenFactors = oldDarkenFactors;
+
+            // The stack only preloads so many cards; drop the one that fell off the end
+            while (this.stackCards.length > CONFIG.preloadCount) {
+                this.stackCards.pop();
+                this.cardRotations.pop();
+                this.cardOffsets.pop();
             }
-        `;
+            this.cardDarkenFactors.length = this.stackCards.length;
+
+            this.settleStackRotations = [...this.cardRotations];
+            this.settleStackOffsets = [...this.cardOffsets];
+            this.settleStackDarkenFactors = [...this.cardDarkenFactors];
+            this.currentCard = returningCard;
+            if (!this.reducedMotion) {
+                this.settleStackStartPoses = [{ rotation: 0, offset: { x: 0, y: 0 } }];
+                this.isSettling = true;
+                this.settleProgress = 0;
+                this.animateSettle();
+            }
+        } else {
+            await this.loadCurrentCards();
+        }
 
-        const shaderModule = this.device.createShaderModule({ code: shaderCode });
+        this.prepareCurrentCard(); // The returning card is quizzed again
+        this.announceCard();
+        this.animateReturn(exit);
+    }
 
-        this.pipeline = this.device.createRenderPipeline({
-            layout: 'auto',
-            vertex: {
-                module: shaderModule,
-                entryPoint: 'vs_main',
-            },
-            fragment: {
-                module: shaderModule,
-                entryPoint: 'fs_main',
-                targets: [{
-                    format: format,
-                    blend: {
-                        color: {
-                            srcFactor: 'src-alpha',
-                            dstFactor: 'one-minus-src-alpha',
-                            operation: 'add',
-                        },
-                        alpha: {
-                            srcFactor: 'one',
-                            dstFactor: 'one-minus-src-alpha',
-                            operation: 'add',
-                        },
-                    },
-                }],
-            },
-            primitive: {
-                topology: 'triangle-list',
-            },
-            depthStencil: {
-                format: 'depth32float',
-                depthWriteEnabled: true,
-                depthCompare: 'less',
-            },
+    animateReturn(exit) {
+        const startTime = performance.now();
+
+        const animate = (currentTime) => {
+            const duration = this.reducedMotion ? CONFIG.crossfadeDuration : CONFIG.returnDuration;
+            const progress = Math.min((currentTime - startTime) / duration, 1);
+            const remaining = 1 - Utils.easeOutCubic(progress);
+            this.dragOffset = { x: exit.x * remaining, y: exit.y * remaining };
+            this.dragRotation = exit.rotation * remaining;
+            this.animationProgress = remaining;
+
+            this.render();
+
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                this.isReturning = false;
+                this.animationProgress = 0;
+                this.dragOffset = { x: 0, y: 0 };
+                this.dragRotation = 0;
+                this.render();
+            }
+        };
+
+        requestAnimationFrame(animate);
+    }
+
+    // Throw the current card again with the grade that was undone, toward a matching direction
+    redoThrow() {
+        if (this.isAnimating || this.isReturning || this.isDragging || this.isReloading || !this.stateManager.canRedo()) {
+            return;
+        }
+        const { grade } = this.stateManager.peekRedo();
+        const direction = Object.keys(CONFIG.swipeGrades).find(d => CONFIG.swipeGrades[d] === grade) || CONFIG.tapDirection;
+        this.isRedoThrow = true;
+        this.throwInDirection(direction);
+    }
+
+    // The page's link may pick the mode; modes that quiz on names need a manifest with names
+    async loadStudyMode() {
+        try {
+            const saved = await this.store.get('settings', 'studyMode');
+            if (saved && STUDY_MODES[saved]) {
+                this.mode = saved;
+            }
+        } catch (e) {
+            console.warn('[loadStudyMode] Could not load study mode:', e);
+        }
+        if (this.link && this.link.mode) {
+            this.mode = this.link.mode;
+        }
+        if (STUDY_MODES[this.mode].needsNames && !this.hasCardNames()) {
+            this.mode = 'study';
+        }
+    }
+
+    setupDeckControls() {
+        this.deckDialog = new DeckDialog(this.decks, this);
+        this.deckSelect.addEventListener('change', () => {
+            const value = this.deckSelect.value;
+            if (value === 'manage') {
+                // Not a deck: keep showing the active one
+                this.deckSelect.value = this.activeDeckId;
+                this.deckDialog.open();
+            } else {
+                this.switchDeck(value);
+            }
         });
+        this.updateDeckSelect();
     }
 
-    setupCanvas() {
-        const updateSize = () => {
-            const dpi = window.devicePixelRatio || 1;
+    updateDeckSelect() {
+        this.deckSelect.replaceChildren(new Option(`All cards (${this.cards.length})`, DEFAULT_DECK_ID));
+        if (this.hasLinkedDeck()) {
+            const count = DeckLibrary.getCardIndices(this.link.deck, this.cards).length;
+            this.deckSelect.add(new Option(`Shared link (${count})`, LINK_DECK_ID));
+        }
+        for (const deck of this.decks.decks) {
+            const count = DeckLibrary.getCardIndices(deck, this.cards).length;
+            const option = new Option(`${deck.name} (${count})`, deck.id);
+            option.disabled = count === 0;
+            this.deckSelect.add(option);
+        }
+        this.deckSelect.add(new Option('Manage decks…', 'manage'));
+        this.deckSelect.value = this.activeDeckId;
+    }
 
-            // Calculate card size in CSS pixels (96 DPI = 1 inch = 25.4mm)
-            // NOTE: Don't multiply by devicePixelRatio here - that's only for canvas resolution
-            const mmToCssPixel = 96 / 25.4;
-            const cardWidthCss = this.cardWidthMM * mmToCssPixel;
-            const cardHeightCss = this.cardHeightMM * mmToCssPixel;
+    // Gallery "Study now": the card goes on top, switching to all cards if the active deck lacks it.
+    // Resolves to false (and changes nothing) while a card is moving or progress is reloading.
+    async studyCardNow(cardIndex) {
+        if (this.isAnimating || this.isReturning || this.isDragging || this.isLoadingStackCard || this.isReloading) {
+            return false;
+        }
+        if (!this.stateManager.deckCardIndices.includes(cardIndex)) {
+            await this.switchDeck(DEFAULT_DECK_ID);
+            if (!this.stateManager.deckCardIndices.includes(cardIndex)) {
+                return false;
+            }
+        }
+        this.stateManager.studyNow(cardIndex);
+        await this.loadCurrentCards();
+        this.prepareCurrentCard();
+        this.announceCard();
+        this.render();
+        return true;
+    }
 
-            // Ensure the card fits on screen with minimum margin on all sides
-            const margin = CONFIG.minCardMargin;
-            const maxWidth = window.innerWidth - (margin * 2);
-            const maxHeight = window.innerHeight - (margin * 2);
+    // Study another deck: its own queue is restored and the whole stack reloads
+    async switchDeck(deckId) {
+        if (this.isAnimating || this.isReturning || this.isDragging || this.isLoadingStackCard || this.isReloading) {
+            this.deckSelect.value = this.activeDeckId;
+            return;
+        }
+        await this.loadDeck(deckId);
+    }
 
-            // Scaling logic:
-            // - Mobile (< 400px width): Scale to fill available width (ignore natural size)
-            // - Desktop: Keep natural size unless too large, then scale down
-            let scale = 1;
-            if (window.innerWidth < 400) {
-                // Mobile: Scale card to fill width with margins
-                const scaleByWidth = maxWidth / cardWidthCss;
-                const scaleByHeight = maxHeight / cardHeightCss;
-                scale = Math.min(scaleByWidth, scaleByHeight);
-                console.log(`[setupCanvas] Mobile view (${window.innerWidth}px), scaling to fit: ${scale.toFixed(4)}`);
-            } else if (cardWidthCss > maxWidth || cardHeightCss > maxHeight) {
-                // Desktop: Only scale down if card is too large
-                const scaleByWidth = maxWidth / cardWidthCss;
-                const scaleByHeight = maxHeight / cardHeightCss;
-                scale = Math.min(scaleByWidth, scaleByHeight);
-                console.log(`[setupCanvas] Card too large, scaling down: ${scale.toFixed(4)}`);
+    // Replace the session with `deckId`'s saved one, without checking whether a card is moving
+    async loadDeck(deckId) {
+        this.stateManager = await this.createStateManager(deckId);
+        this.saveSetting('activeDeck', this.activeDeckId);
+        this.updateDeckSelect();
+        this.updateHistoryButtons();
+        await this.loadCurrentCards();
+        this.prepareCurrentCard();
+        this.announceCard();
+        this.render();
+    }
+
+    // Rebuild the active deck's session from the store, after running `update` (a sync or import writing
+    // to the store) if given. Waits until nothing is moving and keeps cards from being thrown meanwhile,
+    // so no save from the old session lands after the store was rewritten. Resolves to what `update` returned.
+    async reloadProgress(update = null) {
+        do {
+            await this.whenIdle();
+        } while (this.isReloading);
+        this.isReloading = true;
+        try {
+            const result = update ? await update() : undefined;
+            await this.loadDeck(this.activeDeckId);
+            return result;
+        } finally {
+            this.isReloading = false;
+        }
+    }
+
+    // Whether the page was opened with a link that picks its own deck (see SHARE LINKS)
+    hasLinkedDeck() {
+        return !!this.link && (this.link.seed !== null || this.link.deck !== null);
+    }
+
+    // Starting card from the page's link (its mode is picked up by loadStudyMode). The card is applied
+    // once (only by the studying tab, which owns the progress), then dropped from the address so a
+    // reload doesn't repeat it.
+    async applyLink(isStudyingTab) {
+        if (!this.link.cardId || !isStudyingTab) {
+            return;
+        }
+
+        const cardIndex = this.cards.findIndex(card => card.id === this.link.cardId);
+        if (cardIndex === -1) {
+            console.warn(`[applyLink] Card ${this.link.cardId} is not in the card list`);
+        } else {
+            if (!this.stateManager.deckCardIndices.includes(cardIndex)) {
+                this.stateManager = await this.createStateManager(DEFAULT_DECK_ID);
+            }
+            // Still missing when the mode quizzes on names and the card has none
+            if (this.stateManager.deckCardIndices.includes(cardIndex)) {
+                this.stateManager.studyNow(cardIndex);
             } else {
-                console.log(`[setupCanvas] Card fits, keeping natural size (scale: 1.0)`);
+                console.warn(`[applyLink] Card ${this.link.cardId} has no name to quiz on`);
             }
+        }
+        this.link.cardId = null;
+        history.replaceState(history.state, '', ShareLink.toUrl(this.link));
+    }
 
-            // Store card dimensions in CSS pixels for transform calculations
-            this.cardWidth = cardWidthCss * scale;
-            this.cardHeight = cardHeightCss * scale;
+    setupShareButton() {
+        this.shareButton.addEventListener('click', () => {
+            this.shareSession().catch(e => console.warn('[shareSession] Could not share:', e));
+        });
+    }
 
-            // DEBUG: Log the values
-            console.log(`[setupCanvas] DPI: ${dpi}, innerWidth: ${window.innerWidth}, innerHeight: ${window.innerHeight}`);
-            console.log(`[setupCanvas] cardWidthCss: ${cardWidthCss.toFixed(2)}, cardHeightCss: ${cardHeightCss.toFixed(2)}`);
-            console.log(`[setupCanvas] margin: ${margin}, maxWidth: ${maxWidth}, maxHeight: ${maxHeight}`);
-            console.log(`[setupCanvas] scale: ${scale.toFixed(4)}`);
-            console.log(`[setupCanvas] final cardWidth: ${this.cardWidth.toFixed(2)}, cardHeight: ${this.cardHeight.toFixed(2)}`);
-            console.log(`[setupCanvas] canvasWidthCss: ${this.canvasWidthCss}, canvasHeightCss: ${this.canvasHeightCss}`);
+    // Link to this session: the active deck in a seeded order, and the study mode. A session without
+    // a seed gets a new one, and this tab switches to it so the sharer drills the same sequence.
+    async shareSession() {
+        let deck = null;
+        if (this.activeDeckId === LINK_DECK_ID) {
+            deck = this.link.deck;
+        } else if (this.activeDeckId !== DEFAULT_DECK_ID) {
+            const { filter, cardIds } = this.decks.get(this.activeDeckId);
+            deck = { filter, cardIds };
+        }
+        const link = { seed: this.stateManager.seed || Utils.createSeed(), deck, mode: this.mode, cardId: null };
+        const url = ShareLink.toUrl(link);
 
-            this.canvas.width = window.innerWidth * dpi;
-            this.canvas.height = window.innerHeight * dpi;
-            this.canvas.style.width = `${window.innerWidth}px`;
-            this.canvas.style.height = `${window.innerHeight}px`;
+        if (!this.stateManager.seed) {
+            this.link = link;
+            history.replaceState(history.state, '', url);
+            await this.switchDeck(LINK_DECK_ID);
+        }
+        await this.shareUrl(url);
+    }
 
-            // Recreate depth texture with new canvas dimensions
-            if (this.device && this.depthTexture) {
-                this.depthTexture.destroy();
-                this.depthTexture = this.device.createTexture({
-                    size: [this.canvas.width, this.canvas.height],
-                    format: 'depth32float',
-                    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-                });
+    // System share sheet where there is one, else the clipboard, else a prompt to copy by hand
+    async shareUrl(url) {
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: document.title, url });
+                return;
+            } catch (e) {
+                if (e.name === 'AbortError') return;
             }
-        };
+        }
+        try {
+            await navigator.clipboard.writeText(url);
+            this.liveRegion.textContent = 'Link copied';
+            this.shareButton.classList.add('copied');
+            setTimeout(() => this.shareButton.classList.remove('copied'), CONFIG.shareFeedbackDuration);
+        } catch (e) {
+            prompt('Copy this link:', url);
+        }
+    }
 
-        updateSize();
-        window.addEventListener('resize', updateSize);
+    // Modes that quiz on names are only offered when the manifest has names
+    setupModeSelect() {
+        const hasNames = this.hasCardNames();
+        for (const [mode, { label, needsNames }] of Object.entries(STUDY_MODES)) {
+            const option = new Option(label, mode, false, mode === this.mode);
+            option.disabled = needsNames && !hasNames;
+            this.modeSelect.add(option);
+        }
+        this.modeSelect.addEventListener('change', () => this.setStudyMode(this.modeSelect.value));
     }
 
-    async loadCurrentCards() {
-        console.log(`[loadCurrentCards] Loading card ${this.stateManager.currentCardIndex}`);
+    hasCardNames() {
+        return this.cards.some(card => card.name || card.variants.some(variant => variant.name));
+    }
 
-        // Load current card
-        const currentCardPath = this.stateManager.getCurrentCardPath(this.cards);
-        this.currentTexture = await this.loadTexture(currentCardPath);
-        console.log(`[loadCurrentCards] Current card loaded: ${currentCardPath}`);
+    // Cards of a deck the current mode can quiz: modes that quiz on names leave out cards without a
+    // name in the study language
+    getStudyableCardIndices(cardIndices) {
+        if (!STUDY_MODES[this.mode].needsNames) {
+            return cardIndices;
+        }
+        return cardIndices.filter(index => Utils.getCardName(this.cards[index], this.studyLang));
+    }
 
-        // Load next few cards for the stack effect (in parallel for speed)
-        this.nextTextures = [];
-        this.cardRotations = [];
-        this.cardOffsets = [];
-        const cardsToPreload = Math.min(CONFIG.preloadCount, this.stateManager.getRemainingCards());
-        console.log(`[loadCurrentCards] Preloading ${cardsToPreload} stack cards`);
+    setStudyMode(mode) {
+        const changesCards = !!STUDY_MODES[mode].needsNames !== !!STUDY_MODES[this.mode].needsNames;
+        this.mode = mode;
+        this.resetQuiz();
+        this.saveSetting('studyMode', mode);
+        if (changesCards) {
+            this.reloadProgress();
+            return;
+        }
+        this.announceCard();
+        this.render();
+    }
 
-        // Build array of promises to load in parallel
-        const loadPromises = [];
-        for (let i = 1; i <= cardsToPreload; i++) {
-            const cardPath = this.stateManager.getStackCardPath(this.cards, i);
-            if (cardPath) {
-                loadPromises.push(this.loadTexture(cardPath));
+    // Passive tabs (see TABS) follow the studying tab's settings without writing them
+    saveSetting(key, value) {
+        if (!this.tabs.isActive) {
+            return;
+        }
+        this.store.put('settings', key, value)
+            .catch(e => console.warn(`[saveSetting] Could not save ${key}:`, e));
+    }
+
+    // Per-card state, reset whenever a different card becomes current
+    prepareCurrentCard() {
+        this.resetQuiz();
+        this.resetZoom(false);
+        this.cardShownAt = Date.now();
+        this.langBlend = 0;
+        this.isFlipped = false;
+        this.langBlendAnimation = null;
+        this.loadPeekSlot();
+    }
+
+    // Image to study for `card`: its variant in the study language, in the size that suits the screen
+    getCardPath(card) {
+        return this.getVariantPath(Utils.getCardVariant(card, this.studyLang));
+    }
 
-                // Generate random rotation for this card (-5 to +5 degrees)
-                const rotation = (Math.random() - 0.5) * CONFIG.stackRotationRange;
-                this.cardRotations.push(rotation);
+    getVariantPath(variant) {
+        return Utils.getImagePath(variant, Utils.getImageSize(variant, this.imageWidth));
+    }
 
-                // Generate random offset for this card (pixels - will be converted to normalized coords later)
-                // CRITICAL: Scale offsets proportionally to screen size to maintain consistent visual appearance
-                // Base values designed for 1920×1080 desktop screens
-                const baseScreenWidth = 1920;
-                const baseScreenHeight = 1080;
-                const screenRatio = Math.min(window.innerWidth / baseScreenWidth, window.innerHeight / baseScreenHeight);
+    // Zoomed in, a resized image runs out of detail: swap the current card to its original image.
+    // The slot keeps its path, which identifies the card on the stack.
+    async loadFullResolution() {
+        const slot = this.currentCard;
+        const variant = slot && this.variantsByPath.get(slot.path);
+        if (!variant || variant.path === slot.path || slot.fullResolution) {
+            return;
+        }
 
-                const offsetX = (Math.random() - 0.5) * CONFIG.stackOffsetRange * screenRatio;
-                const offsetY = (Math.random() - 0.5) * CONFIG.stackOffsetRange * screenRatio;
-                this.cardOffsets.push({ x: offsetX, y: offsetY });
+        slot.fullResolution = true;
+        try {
+            const texture = await this.loadTexture(variant.path);
+            if (slot.isPlaceholder) {
+                this.renderer.destroyTexture(slot.texture);
             }
+            slot.texture = texture;
+            slot.isPlaceholder = false;
+            this.requestRender();
+        } catch (e) {
+            // The resized image stays; zooming again tries once more
+            console.warn(`[loadFullResolution] Could not load ${variant.path}:`, e);
+            slot.fullResolution = false;
         }
+    }
 
-        // Wait for all textures to load in parallel
-        this.nextTextures = await Promise.all(loadPromises);
-        console.log(`[loadCurrentCards] Stack loaded: ${this.nextTextures.length} cards`);
+    // Name of the card image at `path`, in that image's language, when the manifest has one
+    getCardName(path) {
+        const card = this.cardsByPath.get(path);
+        if (!card) {
+            return null;
+        }
+        return this.variantsByPath.get(path).name || card.name || null;
     }
 
-    async loadTexture(path) {
-        if (this.textureCache.has(path)) {
-            return this.textureCache.get(path);
+    async loadLanguageSettings() {
+        try {
+            const [studyLang, secondLang, isBilingual] = await Promise.all([
+                this.store.get('settings', 'studyLanguage'),
+                this.store.get('settings', 'secondLanguage'),
+                this.store.get('settings', 'bilingual')
+            ]);
+            this.studyLang = this.languages.includes(studyLang) ? studyLang : null;
+            this.secondLang = this.languages.includes(secondLang) ? secondLang : null;
+            this.isBilingual = !!isBilingual;
+        } catch (e) {
+            console.warn('[loadLanguageSettings] Could not load language settings:', e);
         }
 
-        const response = await fetch(path);
-        const blob = await response.blob();
-        const imageBitmap = await createImageBitmap(blob);
+        // Peeking needs a language to peek at
+        if (!this.secondLang) {
+            const primary = this.studyLang || this.cards[0].lang;
+            this.secondLang = this.languages.find(lang => lang !== primary) || null;
+        }
+    }
 
-        const texture = this.device.createTexture({
-            size: [imageBitmap.width, imageBitmap.height, 1],
-            format: 'rgba8unorm',
-            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT,
-        });
+    // Language options only appear when the deck has more than one language
+    setupLanguageSettings() {
+        const section = document.getElementById('languageSettings');
+        if (this.languages.length < 2) {
+            section.hidden = true;
+            return;
+        }
 
-        this.device.queue.copyExternalImageToTexture(
-            { source: imageBitmap },
-            { texture: texture },
-            [imageBitmap.width, imageBitmap.height]
-        );
+        const studySelect = document.getElementById('studyLanguageSelect');
+        const secondSelect = document.getElementById('secondLanguageSelect');
+        const bilingualToggle = document.getElementById('bilingualToggle');
 
-        this.textureCache.set(path, texture);
-        return texture;
+        studySelect.add(new Option('Default per card', ''));
+        for (const lang of this.languages) {
+            studySelect.add(new Option(this.getLanguageLabel(lang), lang, false, lang === this.studyLang));
+            secondSelect.add(new Option(this.getLanguageLabel(lang), lang, false, lang === this.secondLang));
+        }
+        bilingualToggle.checked = this.isBilingual;
+
+        studySelect.addEventListener('change', () => this.setStudyLanguage(studySelect.value || null));
+        secondSelect.addEventListener('change', () => {
+            this.secondLang = secondSelect.value;
+            this.saveSetting('secondLanguage', this.secondLang);
+            this.langBlend = 0;
+            this.isFlipped = false;
+            this.loadPeekSlot();
+        });
+        bilingualToggle.addEventListener('change', () => {
+            this.isBilingual = bilingualToggle.checked;
+            this.saveSetting('bilingual', this.isBilingual);
+        });
     }
 
-    setupEventListeners() {
-        const handleInteraction = (e) => {
-            e.preventDefault();
-            if (!this.isAnimating) {
-                this.throwCard();
-            }
-        };
-
-        this.canvas.addEventListener('click', handleInteraction);
-        this.canvas.addEventListener('touchstart', handleInteraction, { passive: false });
+    getLanguageLabel(lang) {
+        if (typeof Intl.DisplayNames === 'function') {
+            return new Intl.DisplayNames([navigator.language], { type: 'language' }).of(lang);
+        }
+        return lang.toUpperCase();
     }
 
-    throwCard() {
-        this.isAnimating = true;
-        this.animationProgress = 0;
-
-        // Random throw direction
-        const angle = Math.random() * Math.PI * 2;
-        const distance = CONFIG.throwDistanceMin + Math.random() * (CONFIG.throwDistanceMax - CONFIG.throwDistanceMin);
-        this.throwDirection = {
-            x: Math.cos(angle) * distance,
-            y: Math.sin(angle) * distance
-        };
+    // Every on-screen card switches to its image in the new language
+    async setStudyLanguage(lang) {
+        this.studyLang = lang;
+        this.saveSetting('studyLanguage', lang);
+        // Which cards have a name to quiz on depends on the language
+        if (STUDY_MODES[this.mode].needsNames) {
+            await this.reloadProgress();
+            return;
+        }
+        await this.loadCurrentCards();
+        this.prepareCurrentCard();
+        this.announceCard();
+        this.render();
+    }
 
-        // Random rotation direction
-        this.throwRotation = (Math.random() - 0.5) * CONFIG.throwRotationRange; // -360 to 360 degrees
+    // The current card in the second language, for peeking and bilingual flips
+    async loadPeekSlot() {
+        this.peekSlot = null;
+        const current = this.currentCard;
+        const card = current && this.cardsByPath.get(current.path);
+        const variant = card && card.variants.find(v => v.lang === this.secondLang);
+        const path = variant && this.getVariantPath(variant);
+        if (!variant || path === current.path || this.brokenCards.has(path)) {
+            return;
+        }
 
-        this.animateThrow();
+        const slot = await this.loadCardSlot(path);
+        // The card may have been thrown, or the image found broken, while its second language loaded
+        if (this.currentCard === current && !this.brokenCards.has(path)) {
+            this.peekSlot = slot;
+        }
     }
 
-    animateThrow() {
-        const duration = CONFIG.throwDuration; // ms
+    // Crossfade the current card toward its second language (1) or back (0)
+    animateLangBlend(target) {
+        const start = this.langBlend;
         const startTime = performance.now();
+        const animation = { target };
+        this.langBlendAnimation = animation;
 
         const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            this.animationProgress = Math.min(elapsed / duration, 1);
-
-            // Ease out cubic
-            const eased = Utils.easeOutCubic(this.animationProgress);
+            // Superseded by a newer flip, or the card changed
+            if (this.langBlendAnimation !== animation) return;
 
+            const progress = Math.min((currentTime - startTime) / CONFIG.languageFlipDuration, 1);
+            this.langBlend = start + (target - start) * Utils.easeOutCubic(progress);
             this.render();
 
-            if (this.animationProgress < 1) {
+            if (progress < 1) {
                 requestAnimationFrame(animate);
             } else {
-                this.onCardThrowComplete();
+                this.langBlendAnimation = null;
             }
         };
 
         requestAnimationFrame(animate);
     }
 
-    async onCardThrowComplete() {
-        this.isAnimating = false;
-        console.log(`[onCardThrowComplete] Card thrown, advancing from ${this.stateManager.currentCardIndex}`);
-        console.log(`[onCardThrowComplete] Stack state before: ${this.nextTextures.length} cards, rotations: ${this.cardRotations.length}, offsets: ${this.cardOffsets.length}`);
+    // Show the current card in the second language (or back in the study language)
+    showLanguage(showSecond) {
+        this.animateLangBlend(showSecond ? 1 : 0);
 
-        // Capture the rotation/offset of the next card BEFORE advancing
-        // The next card (currently at index 0 of stack arrays) will become the current card
-        const nextCardRotation = this.cardRotations.length > 0 ? this.cardRotations[0] : 0;
+        const path = showSecond ? this.peekSlot.path : this.currentCard.path;
+        const language = this.getLanguageLabel(this.variantsByPath.get(path).lang);
+        const name = this.isMaskPending() ? null : this.getCardName(path);
+        this.liveRegion.textContent = name ? `${language}: ${name}` : language;
+    }
 
-        // Use only the random offset (no systematic offset)
-        let nextCardOffset = { x: 0, y: 0 };
-        if (this.cardOffsets.length > 0) {
-            nextCardOffset = {
-                x: this.cardOffsets[0].x,
-                y: this.cardOffsets[0].y
-            };
+    // Bilingual mode: a tap turns the card over to the other language
+    flipLanguage() {
+        this.isFlipped = !this.isFlipped;
+        this.showLanguage(this.isFlipped);
+    }
+
+    // While peeking, the other side of the bilingual flip is shown
+    setPeek(isPeeking) {
+        if (!this.peekSlot) return;
+        this.showLanguage(this.isFlipped !== isPeeking);
+    }
+
+    // Keyboard/gamepad peek: show the second language for a moment
+    peekBriefly() {
+        const card = this.currentCard;
+        if (!this.peekSlot || this.isPeekingByKey) return;
+        this.isPeekingByKey = true;
+        this.setPeek(true);
+        setTimeout(() => {
+            this.isPeekingByKey = false;
+            if (this.currentCard === card) {
+                this.setPeek(false);
+            }
+        }, CONFIG.peekDuration);
+    }
+
+    // Fresh quiz state for the current card (new card or new mode)
+    resetQuiz() {
+        this.maskReveal = 0;
+        this.pendingAnswerGrade = null;
+        this.updateAnswerForm();
+        this.updateChoices();
+    }
+
+    setupAnswerForm() {
+        this.answerForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitAnswer();
+        });
+    }
+
+    // The answer box is shown in "type" mode for cards the manifest has a name for;
+    // other cards in that mode are revealed and graded by swiping
+    updateAnswerForm() {
+        const isActive = this.mode === 'type' && !!(this.currentCard && this.getCardName(this.currentCard.path));
+
+        this.answerForm.style.display = isActive ? '' : 'none';
+        this.answerInput.value = '';
+        this.answerInput.readOnly = false;
+        this.answerSubmit.textContent = 'Check';
+        this.answerFeedback.textContent = '';
+        this.answerFeedback.className = '';
+
+        // Don't pop up the on-screen keyboard on every card
+        if (isActive && !window.matchMedia('(pointer: coarse)').matches) {
+            this.answerInput.focus();
         }
-        console.log(`[onCardThrowComplete] Next card rotation: ${nextCardRotation}°, offset: (${nextCardOffset.x.toFixed(1)}, ${nextCardOffset.y.toFixed(1)})px`);
+    }
 
-        // Calculate and save old darken factors BEFORE incrementing index
-        // This captures the current stack positions before the shift
-        this.cardDarkenFactors = this.nextTextures.map((_, i) => {
-            const oldStackLayer = i + 1; // 1 for front card (i=0), 2 for next (i=1), etc.
-            return 1.0 - (oldStackLayer * CONFIG.stackDarkenPerLayer);
+    // In "choice" mode the current card gets its name plus similar wrong names, in random order
+    updateChoices() {
+        const path = this.currentCard && this.currentCard.path;
+        const answer = path && this.getCardName(path);
+        const isActive = this.mode === 'choice' && !!answer;
+        const names = isActive
+            ? [answer, ...Utils.pickDistractors(this.cardsByPath.get(path), this.cards, CONFIG.choiceCount - 1,
+                this.variantsByPath.get(path).lang)]
+            : [];
+        Utils.fisherYatesShuffle(names);
+
+        // Not enough named cards to choose from: reveal and grade by swiping instead
+        this.choiceList.replaceChildren();
+        this.choiceList.style.display = names.length > 1 ? '' : 'none';
+        if (names.length <= 1) return;
+
+        names.forEach((name, i) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = name;
+            button.dataset.correct = name === answer ? 'true' : 'false';
+            button.setAttribute('aria-label', `${i + 1}: ${name}`);
+            button.addEventListener('click', () => this.chooseAnswer(i));
+            this.choiceList.appendChild(button);
         });
+    }
 
-        const hasMore = this.stateManager.advance();
+    async chooseAnswer(index) {
+        const buttons = [...this.choiceList.children];
+        if (this.mode !== 'choice' || !buttons[index] || this.isAnimating || this.isReturning || this.isDragging ||
+            this.isReloading) {
+            return;
+        }
 
-        if (!hasMore) {
-            console.log(`[onCardThrowComplete] Deck complete, reshuffling`);
-            // Reshuffle
-            this.stateManager.reset();
-            await this.loadCurrentCards();
+        // After a wrong pick any option moves on, with the miss recorded
+        if (this.pendingAnswerGrade) {
+            await this.revealMask();
+            this.throwInDirection(CONFIG.answerThrowDirections.wrong, this.pendingAnswerGrade);
+            return;
+        }
+
+        const picked = buttons[index];
+        const correct = picked.dataset.correct === 'true';
+        for (const button of buttons) {
+            if (button.dataset.correct === 'true') {
+                button.className = 'correct';
+            }
+        }
+        Utils.debugLog(`[chooseAnswer] Picked "${picked.textContent}", correct: ${correct}`);
+
+        if (correct) {
+            await this.revealMask();
+            this.throwInDirection(CONFIG.answerThrowDirections.correct, 'good');
         } else {
+            picked.className = 'wrong';
+            this.pendingAnswerGrade = 'again';
+            this.revealMask();
+        }
+    }
 
-            // Move the first card from stack to current (it's already loaded!)
-            if (this.nextTextures.length > 0) {
-                console.log(`[onCardThrowComplete] Using preloaded card from stack`);
-                this.currentTexture = this.nextTextures[0];
+    async submitAnswer() {
+        if (this.isAnimating || this.isReturning || this.isDragging || this.isReloading) {
+            return;
+        }
 
-                // Shift all arrays including darken factors
-                this.nextTextures.shift();
-                this.cardRotations.shift();
-                this.cardOffsets.shift();
-                this.cardDarkenFactors.shift(); // Remove the front card's old darken factor
+        // Second submit after a wrong answer: the correct name has been seen, move on
+        if (this.pendingAnswerGrade) {
+            await this.revealMask();
+            this.throwInDirection(CONFIG.answerThrowDirections.wrong, this.pendingAnswerGrade);
+            return;
+        }
 
-                console.log(`[onCardThrowComplete] Stack state after shift: ${this.nextTextures.length} cards`);
+        const name = this.getCardName(this.currentCard.path);
+        const result = Utils.checkAnswer(this.answerInput.value, name);
+        Utils.debugLog(`[submitAnswer] "${this.answerInput.value}" vs "${name}":`, result);
+        this.answerInput.readOnly = true;
 
-                // Create snapshots of current stack arrays BEFORE loading new card
-                // This prevents race condition where loadNextStackCard() modifies arrays during settle animation
-                this.settleStackRotations = [...this.cardRotations];
-                this.settleStackOffsets = [...this.cardOffsets];
-                this.settleStackDarkenFactors = [...this.cardDarkenFactors];
+        if (result.correct) {
+            this.answerFeedback.textContent = result.exact ? `✓ ${name}` : `✓ Close enough: ${name}`;
+            this.answerFeedback.className = 'correct';
+            await this.revealMask();
+            this.throwInDirection(CONFIG.answerThrowDirections.correct, result.exact ? 'good' : 'hard');
+        } else {
+            this.answerFeedback.textContent = `✗ ${name}`;
+            this.answerFeedback.className = 'wrong';
+            this.answerSubmit.textContent = 'Continue';
+            this.pendingAnswerGrade = 'again';
+            this.answerSubmit.focus();
+            this.revealMask();
+        }
+    }
 
-                // Load one new card at the end of the stack (async, don't wait)
-                this.isLoadingStackCard = true;
-                this.loadNextStackCard().then(() => {
-                    this.isLoadingStackCard = false;
-                    console.log(`[onCardThrowComplete] Stack card loaded, flag cleared`);
-                }).catch(err => {
-                    this.isLoadingStackCard = false;
-                    console.error(`[onCardThrowComplete] Error loading stack card:`, err);
-                });
-            } else {
-                console.warn(`[onCardThrowComplete] Stack was empty! Falling back to full load`);
-                // Fallback: no cards in stack, load normally
-                await this.loadCurrentCards();
+    // Revealing the name by tapping or swiping instead of answering counts as a miss: the name is
+    // shown as for a wrong answer and the card is graded 'again' however it is thrown
+    giveUpAnswer() {
+        if (this.pendingAnswerGrade) {
+            return;
+        }
+        if (this.mode === 'type' && this.answerForm.style.display !== 'none') {
+            this.answerFeedback.textContent = `✗ ${this.getCardName(this.currentCard.path)}`;
+            this.answerFeedback.className = 'wrong';
+            this.answerInput.readOnly = true;
+            this.answerSubmit.textContent = 'Continue';
+            this.pendingAnswerGrade = 'again';
+        } else if (this.mode === 'choice' && this.choiceList.children.length > 1) {
+            for (const button of this.choiceList.children) {
+                if (button.dataset.correct === 'true') {
+                    button.className = 'correct';
+                }
             }
+            this.pendingAnswerGrade = 'again';
         }
+    }
 
-        // Start settle animation only if there was a card in the stack to animate from
-        // (Skip on first card or when stack was empty)
-        if (nextCardRotation !== 0 || nextCardOffset.x !== 0 || nextCardOffset.y !== 0) {
-            console.log(`[onCardThrowComplete] Starting settle animation`);
-            this.currentCardInitialRotation = nextCardRotation;
-            this.currentCardInitialOffset = nextCardOffset;
-            this.isSettling = true;
-            this.settleProgress = 0;
-            this.animateSettle();
+    isMaskPending() {
+        return STUDY_MODES[this.mode].masked && this.maskReveal < 1;
+    }
+
+    // Animated uncover of the masked regions on the current card; resolves once fully revealed
+    revealMask() {
+        if (this.maskReveal >= 1) {
+            return Promise.resolve();
+        }
+        if (this.revealPromise) {
+            return this.revealPromise;
+        }
+
+        const card = this.currentCard;
+        const duration = this.reducedMotion ? CONFIG.crossfadeDuration : CONFIG.maskRevealDuration;
+        const startTime = performance.now();
+
+        this.revealPromise = new Promise((resolve) => {
+            const animate = (currentTime) => {
+                // An undo or mode switch replaced the card mid-reveal
+                if (this.currentCard !== card) {
+                    this.revealPromise = null;
+                    resolve();
+                    return;
+                }
+
+                const progress = Math.min((currentTime - startTime) / duration, 1);
+                this.maskReveal = Utils.easeOutCubic(progress);
+                this.render();
+
+                if (progress < 1) {
+                    requestAnimationFrame(animate);
+                } else {
+                    this.maskReveal = 1;
+                    this.revealPromise = null;
+                    this.announceCard();
+                    resolve();
+                }
+            };
+            requestAnimationFrame(animate);
+        });
+        return this.revealPromise;
+    }
+
+    // Mask regions for a card in the current mode, or null when nothing is hidden
+    getCardMask(path, reveal) {
+        if (!STUDY_MODES[this.mode].masked) {
+            return null;
+        }
+        const card = this.cardsByPath.get(path);
+        const layout = CONFIG.maskLayouts[card && card.layout] || CONFIG.maskLayouts.normal;
+        const regions = CONFIG.maskedRegions.map(name => layout[name]).filter(Boolean);
+        return { regions, reveal };
+    }
+
+    // Keyboard and gamepad bindings are loaded from the settings store and editable in the settings dialog
+    async setupInputControls(store) {
+        const bindings = new InputBindings(store);
+        await bindings.load();
+
+        this.input = new InputController(bindings, (action) => this.handleAction(action));
+        this.input.attach();
+        new BindingsDialog(bindings, this.input);
+    }
+
+    handleAction(action) {
+        Utils.debugLog(`[handleAction] ${action}`);
+        // Gamepads keep polling behind the other-tab notice
+        if (!this.tabs.isActive) {
+            return;
+        }
+        if (action === 'undo') {
+            this.undoThrow();
+            return;
+        }
+        if (action === 'redo') {
+            this.redoThrow();
+            return;
+        }
+        if (action === 'peek') {
+            this.peekBriefly();
+            return;
+        }
+        if (action.startsWith('choose')) {
+            this.chooseAnswer(Number(action.slice('choose'.length)) - 1);
+            return;
+        }
+        if (this.isAnimating || this.isReturning || this.isDragging || this.isReloading) {
+            return;
+        }
+        // A zoomed card is never thrown; the first press zooms back out
+        if (this.isZoomed()) {
+            this.resetZoom();
+            return;
+        }
+        this.isSpringingBack = false;
+        if (action === 'next') {
+            this.throwCard();
         } else {
-            console.log(`[onCardThrowComplete] Skipping settle animation, just rendering`);
-            // No animation needed, just render
-            this.render();
+            // swipeRight -> 'right', etc.
+            this.throwInDirection(action.slice('swipe'.length).toLowerCase());
         }
     }
 
+    // The canvas is invisible to screen readers, so describe the current card in a live region
+    announceCard(grade = null) {
+        const label = this.isMaskPending() ? 'Hidden card' : (this.getCardName(this.currentCard.path) || 'Card');
+        const position = this.stateManager.currentCardIndex + 1;
+        const total = this.stateManager.queue.length;
+        const remaining = this.stateManager.getRemainingCards() - 1;
+
+        const parts = [];
+        if (grade) {
+            parts.push(`Graded ${grade}.`);
+        }
+        parts.push(`${label}, ${position} of ${total}, ${remaining} remaining.`);
+        this.liveRegion.textContent = parts.join(' ');
+        this.canvas.setAttribute('aria-label', `${label}, card ${position} of ${total}`);
+    }
+
+    updateHistoryButtons() {
+        this.undoButton.disabled = !this.stateManager.canUndo();
+        this.redoButton.disabled = !this.stateManager.canRedo();
+    }
+
+    // Random resting pose for a card on the stack
+    createStackPose() {
+        // Random rotation (-5 to +5 degrees)
+        const rotation = (Math.random() - 0.5) * CONFIG.stackRotationRange;
+
+        // Random offset in pixels (converted to normalized coords at render time)
+        // CRITICAL: Scale offsets proportionally to screen size to maintain consistent visual appearance
+        // Base values designed for 1920×1080 desktop screens
+        const baseScreenWidth = 1920;
+        const baseScreenHeight = 1080;
+        const screenRatio = Math.min(window.innerWidth / baseScreenWidth, window.innerHeight / baseScreenHeight);
+
+        const offsetX = (Math.random() - 0.5) * CONFIG.stackOffsetRange * screenRatio;
+        const offsetY = (Math.random() - 0.5) * CONFIG.stackOffsetRange * screenRatio;
+        return { rotation, offset: { x: offsetX, y: offsetY } };
+    }
+
     async loadNextStackCard() {
         // Load one additional card at the end of the stack
-        const nextIdx = this.stateManager.currentCardIndex + this.nextTextures.length + 1;
-        console.log(`[loadNextStackCard] Loading card at index ${nextIdx}`);
+        const nextIdx = this.stateManager.currentCardIndex + this.stackCards.length + 1;
+        Utils.debugLog(`[loadNextStackCard] Loading card at index ${nextIdx}`);
 
-        const cardPath = this.stateManager.getStackCardPath(this.cards, this.nextTextures.length + 1);
-        if (cardPath) {
-            const texture = await this.loadTexture(cardPath);
-            this.nextTextures.push(texture);
+        const card = this.stateManager.getStackCard(this.cards, this.stackCards.length + 1);
+        if (card) {
+            const slot = await this.loadCardSlot(this.getCardPath(card));
+            this.stackCards.push(slot);
 
             // Generate random rotation and offset for new card
-            const rotation = (Math.random() - 0.5) * CONFIG.stackRotationRange;
-            this.cardRotations.push(rotation);
-
-            // CRITICAL: Scale offsets proportionally to screen size to maintain consistent visual appearance
-            // Base values designed for 1920×1080 desktop screens
-            const baseScreenWidth = 1920;
-            const baseScreenHeight = 1080;
-            const screenRatio = Math.min(window.innerWidth / baseScreenWidth, window.innerHeight / baseScreenHeight);
-
-            const offsetX = (Math.random() - 0.5) * CONFIG.stackOffsetRange * screenRatio;
-            const offsetY = (Math.random() - 0.5) * CONFIG.stackOffsetRange * screenRatio;
-            this.cardOffsets.push({ x: offsetX, y: offsetY });
+            const pose = this.createStackPose();
+            this.cardRotations.push(pose.rotation);
+            this.cardOffsets.push(pose.offset);
 
             // New cards have no old brightness to animate from, so mark as null
             // They will appear at their correct darkness immediately
             this.cardDarkenFactors.push(null);
 
-            console.log(`[loadNextStackCard] Added to stack. New stack size: ${this.nextTextures.length}`);
+            Utils.debugLog(`[loadNextStackCard] Added to stack. New stack size: ${this.stackCards.length}`);
         } else {
-            console.log(`[loadNextStackCard] No more cards to load (reached end of deck)`);
+            Utils.debugLog(`[loadNextStackCard] No more cards to load (reached end of deck)`);
         }
     }
 
@@ -709,7 +5445,7 @@ class CardStudyApp {
         };
 
         // DEBUG: Log transform parameters (only for current card at center)
-        if (offsetX === 0 && offsetY === 0 && rotationDeg === 0) {
+        if (CONFIG.debug && offsetX === 0 && offsetY === 0 && rotationDeg === 0) {
             const dpi = window.devicePixelRatio || 1;
             console.log(`[createTransformMatrix] DPI: ${dpi}`);
             console.log(`[createTransformMatrix] canvas CSS size: ${cssCanvas.width}x${cssCanvas.height} px`);
@@ -727,26 +5463,10 @@ class CardStudyApp {
     }
 
     render() {
-        const commandEncoder = this.device.createCommandEncoder();
-        const textureView = this.context.getCurrentTexture().createView();
-
-        const renderPassDescriptor = {
-            colorAttachments: [{
-                view: textureView,
-                clearValue: { r: 0, g: 0, b: 0, a: 1 },
-                loadOp: 'clear',
-                storeOp: 'store',
-            }],
-            depthStencilAttachment: {
-                view: this.depthTexture.createView(),
-                depthClearValue: 1.0,
-                depthLoadOp: 'clear',
-                depthStoreOp: 'store',
-            },
-        };
-
-        const passEncoder = commandEncoder.beginRenderPass(renderPassDescriptor);
-        passEncoder.setPipeline(this.pipeline);
+        if (this.isRecoveringRenderer) {
+            return;
+        }
+        this.renderer.beginFrame();
 
         // Render from BACK TO FRONT for proper alpha blending
         // First render stack cards (furthest back first), then current card (front)
@@ -755,11 +5475,13 @@ class CardStudyApp {
         const maxStack = CONFIG.maxStackCards;
         const stackSize = Math.min(maxStack, remaining - 1);
 
-        console.log(`[render] Rendering ${stackSize} stack cards from ${this.nextTextures.length} available`);
+        if (CONFIG.debug) {
+            console.log(`[render] Rendering ${stackSize} stack cards from ${this.stackCards.length} available`);
+        }
 
         // Render stack from back to front (i = stackSize-1 down to 0)
         for (let i = stackSize - 1; i >= 0; i--) {
-            if (i < this.nextTextures.length) {
+            if (i < this.stackCards.length) {
                 // Depth for layering (with depth testing: smaller = closer, larger = further)
                 // Stack cards are further back, so they get larger depth values
                 const depth = CONFIG.depthStackBase + (i * CONFIG.depthStackIncrement);
@@ -777,17 +5499,26 @@ class CardStudyApp {
 
                 // Use only the random offset (no systematic offset to force direction)
                 const pixelOffset = offsetsArray[i] || { x: 0, y: 0 };
-                const totalOffsetX = pixelOffset.x;
-                const totalOffsetY = pixelOffset.y;
+                let totalOffsetX = pixelOffset.x;
+                let totalOffsetY = pixelOffset.y;
+
+                // Rotation from stored random rotation
+                let rotation = rotationsArray[i] || 0;
+
+                // After an undo the old current card slides from the center back into its stack pose
+                const startPose = this.isSettling ? this.settleStackStartPoses[i] : null;
+                if (startPose) {
+                    const eased = Utils.easeOutCubic(this.settleProgress);
+                    totalOffsetX = startPose.offset.x + (totalOffsetX - startPose.offset.x) * eased;
+                    totalOffsetY = startPose.offset.y + (totalOffsetY - startPose.offset.y) * eased;
+                    rotation = startPose.rotation + (rotation - startPose.rotation) * eased;
+                }
 
                 // Convert to normalized coordinates (-1 to 1 range)
                 // Use CSS dimensions (window.innerWidth/Height) to match transform calculations
                 const normalizedOffsetX = (totalOffsetX / window.innerWidth) * 2;
                 const normalizedOffsetY = (totalOffsetY / window.innerHeight) * 2;
 
-                // Rotation from stored random rotation
-                const rotation = rotationsArray[i] || 0;
-
                 // Scale: all cards same size (100%)
                 const scale = 1.0;
 
@@ -804,7 +5535,9 @@ class CardStudyApp {
                     darkenFactor = 1.0 - (stackLayer * CONFIG.stackDarkenPerLayer);
                 }
 
-                console.log(`[render] Stack card ${i}: offset=(${totalOffsetX.toFixed(1)}, ${totalOffsetY.toFixed(1)})px, normalized=(${normalizedOffsetX.toFixed(3)}, ${normalizedOffsetY.toFixed(3)}), rotation=${rotation.toFixed(1)}°, scale=${scale.toFixed(2)}, darken=${darkenFactor.toFixed(2)}, depth=${depth.toFixed(2)}`);
+                if (CONFIG.debug) {
+                    console.log(`[render] Stack card ${i}: offset=(${totalOffsetX.toFixed(1)}, ${totalOffsetY.toFixed(1)})px, normalized=(${normalizedOffsetX.toFixed(3)}, ${normalizedOffsetY.toFixed(3)}), rotation=${rotation.toFixed(1)}°, scale=${scale.toFixed(2)}, darken=${darkenFactor.toFixed(2)}, depth=${depth.toFixed(2)}`);
+                }
 
                 // Calculate visibility: hide cards when approaching end
                 let opacity = 1.0;
@@ -816,7 +5549,7 @@ class CardStudyApp {
                 }
 
                 this.renderCard(
-                    this.nextTextures[i],
+                    this.stackCards[i].texture,
                     normalizedOffsetX,
                     normalizedOffsetY,
                     scale,
@@ -824,26 +5557,27 @@ class CardStudyApp {
                     depth,
                     opacity,
                     darkenFactor,
-                    passEncoder
+                    this.getCardMask(this.stackCards[i].path, 0)
                 );
             }
         }
 
         // Render current card LAST (so it appears in front of stack)
-        if (this.currentTexture) {
+        if (this.currentCard) {
             let offsetX = 0;
             let offsetY = 0;
             let rotation = 0;
             let opacity = 1.0;
             let darken = 1.0;
 
-            if (this.isAnimating) {
-                // Throw animation
-                const eased = Utils.easeOutCubic(this.animationProgress);
-                offsetX = this.throwDirection.x * eased;
-                offsetY = this.throwDirection.y * eased;
-                rotation = this.throwRotation * eased;
-                opacity = 1.0 - this.animationProgress;
+            if (this.isAnimating || this.isDragging || this.isSpringingBack || this.isReturning) {
+                // Live drag / fling / return state (screen y grows downwards, NDC y upwards)
+                offsetX = (this.dragOffset.x / window.innerWidth) * 2;
+                offsetY = -(this.dragOffset.y / window.innerHeight) * 2;
+                rotation = this.dragRotation;
+                if (this.isAnimating || this.isReturning) {
+                    opacity = 1.0 - this.animationProgress;
+                }
             } else if (this.isSettling) {
                 // Settle animation: smoothly rotate and move from stack position to center
                 const eased = Utils.easeOutCubic(this.settleProgress); // Ease out cubic
@@ -863,56 +5597,45 @@ class CardStudyApp {
                 darken = initialDarken + (1.0 - initialDarken) * eased;
             }
 
+            // Inspection zoom scales around the card center and pans on top of any other motion
+            const zoomScale = this.zoom.scale;
+            offsetX += (this.zoom.x / window.innerWidth) * 2;
+            offsetY -= (this.zoom.y / window.innerHeight) * 2;
+
             this.renderCard(
-                this.currentTexture,
+                this.currentCard.texture,
                 offsetX,
                 offsetY,
-                1.0,
+                zoomScale,
                 rotation,
                 CONFIG.depthCurrent, // Current card is closest (smallest depth value)
                 opacity,
                 darken,
-                passEncoder
+                this.getCardMask(this.currentCard.path, this.maskReveal)
             );
+
+            // Second language crossfades in just in front of the current card
+            if (this.peekSlot && this.langBlend > 0) {
+                this.renderCard(
+                    this.peekSlot.texture,
+                    offsetX,
+                    offsetY,
+                    zoomScale,
+                    rotation,
+                    CONFIG.depthOverlay,
+                    opacity * this.langBlend,
+                    darken,
+                    this.getCardMask(this.peekSlot.path, this.maskReveal)
+                );
+            }
         }
 
-        passEncoder.end();
-        this.device.queue.submit([commandEncoder.finish()]);
+        this.renderer.endFrame();
     }
 
-    renderCard(texture, offsetX, offsetY, scale, rotation, depth, opacity, darkenFactor, passEncoder) {
-        const sampler = this.device.createSampler({
-            magFilter: 'linear',
-            minFilter: 'linear',
-        });
-
+    renderCard(texture, offsetX, offsetY, scale, rotation, depth, opacity, darkenFactor, mask = null) {
         const transformMatrix = this.createTransformMatrix(offsetX, offsetY, scale, rotation, depth);
-
-        const uniformBuffer = this.device.createBuffer({
-            size: 80, // mat4x4 (64 bytes) + float (4) + float (4) + float (4) + float (4)
-            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-        });
-
-        const uniformData = new Float32Array(20);
-        uniformData.set(transformMatrix, 0);
-        uniformData[16] = opacity;
-        uniformData[17] = depth;
-        uniformData[18] = darkenFactor;
-        uniformData[19] = 0; // padding
-
-        this.device.queue.writeBuffer(uniformBuffer, 0, uniformData);
-
-        const bindGroup = this.device.createBindGroup({
-            layout: this.pipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: uniformBuffer } },
-                { binding: 1, resource: sampler },
-                { binding: 2, resource: texture.createView() },
-            ],
-        });
-
-        passEncoder.setBindGroup(0, bindGroup);
-        passEncoder.draw(6, 1, 0, 0);
+        this.renderer.drawCard(texture, transformMatrix, depth, opacity, darkenFactor, mask);
     }
 
     showError(message) {
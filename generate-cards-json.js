@@ -1,17 +1,463 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+
+// sharp is optional: without it the manifest has no placeholder thumbnails or resized images, and
+// images are only checked as far as their headers
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    sharp = null;
+}
 
 const avatarCardsDir = path.join(__dirname, 'avatar_cards');
 const outputFile = path.join(__dirname, 'cards.json');
+const defaultReportFile = path.join(__dirname, 'cards-report.json');
 
-try {
-    const files = fs.readdirSync(avatarCardsDir)
-        .filter(file => file.endsWith('.webp'))
-        .map(file => `avatar_cards/${file}`);
+// Manifest format version (v1 was a bare array of paths, v2 had one entry per image)
+const MANIFEST_VERSION = 3;
 
-    fs.writeFileSync(outputFile, JSON.stringify(files, null, 2));
-    console.log(`Generated cards.json with ${files.length} cards`);
-} catch (error) {
+// Sidecar metadata files picked up automatically when no --metadata flag is given
+const defaultMetadataFiles = ['card-metadata.json', 'card-metadata.csv'];
+
+// Placeholder thumbnails are inlined into the manifest as data URIs, so keep them tiny
+const placeholderWidth = 12;
+const placeholderQuality = 30;
+
+// Card images must have the 63x88 mm card shape the app draws them in (CONFIG.cardWidthMM/cardHeightMM)
+const cardAspectRatio = 63 / 88;
+const aspectRatioTolerance = 0.02;
+
+// Resized copies written to avatar_cards/<size>/, by target width; the original is the full size
+const imageSizes = { thumbnail: 160, mobile: 480 };
+const resizedQuality = 80;
+
+// Images of different cards whose 64-bit perceptual hashes differ in at most this many bits are
+// reported as near-duplicates
+const nearDuplicateDistance = 4;
+
+// Optional fields copied from sidecar metadata into each card entry
+// ("layout" selects the app's quiz mask layout, e.g. "fullArt")
+const metadataFields = ['name', 'set', 'colors', 'rarity', 'type', 'layout'];
+
+// File names look like "de_00a5e49020.webp": language prefix + stable card id
+function parseCardFileName(file) {
+    const base = path.basename(file, path.extname(file));
+    const match = base.match(/^([a-z]{2,3})_(.+)$/i);
+    if (match) {
+        return { lang: match[1].toLowerCase(), id: match[2] };
+    }
+    return { lang: null, id: base };
+}
+
+// Read width/height from a WebP header (VP8, VP8L and VP8X chunks)
+function readWebpSize(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+        throw new Error('Not a WebP file');
+    }
+
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8X') {
+        return {
+            width: 1 + buffer.readUIntLE(24, 3),
+            height: 1 + buffer.readUIntLE(27, 3)
+        };
+    }
+    if (chunk === 'VP8 ') {
+        return {
+            width: buffer.readUInt16LE(26) & 0x3fff,
+            height: buffer.readUInt16LE(28) & 0x3fff
+        };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return {
+            width: 1 + (bits & 0x3fff),
+            height: 1 + ((bits >> 14) & 0x3fff)
+        };
+    }
+    throw new Error(`Unknown WebP chunk "${chunk}"`);
+}
+
+// Minimal CSV parser: header row, comma separated, double quotes for fields containing commas
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...body] = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (!header) return [];
+    const keys = header.map(key => key.trim());
+    return body.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] || '').trim()])));
+}
+
+// Colors may be given as ["W", "U"], "W U", "W|U" or "WU"
+function normalizeColors(value) {
+    if (Array.isArray(value)) return value.map(String);
+    const text = String(value).trim();
+    if (!text) return [];
+    if (/[\s|,;]/.test(text)) return text.split(/[\s|,;]+/).filter(Boolean);
+    return text.split('');
+}
+
+// Load sidecar metadata keyed by card id (or full file name)
+function loadMetadata(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const entries = file.endsWith('.csv') ? parseCsv(text) : JSON.parse(text);
+
+    // JSON may be { "<id>": { ... } } or [{ "id": "<id>", ... }]
+    const list = Array.isArray(entries)
+        ? entries
+        : Object.entries(entries).map(([id, fields]) => ({ id, ...fields }));
+
+    const metadata = new Map();
+    for (const entry of list) {
+        const key = entry.id || entry.file;
+        if (!key) {
+            console.warn(`Skipping metadata entry without id: ${JSON.stringify(entry)}`);
+            continue;
+        }
+        const fields = {};
+        for (const field of metadataFields) {
+            if (entry[field] === undefined || entry[field] === '') continue;
+            fields[field] = field === 'colors' ? normalizeColors(entry[field]) : entry[field];
+        }
+        metadata.set(key, fields);
+    }
+    return metadata;
+}
+
+// Validation findings for the report: errors fail the run, warnings only with --strict
+function addIssue(issues, severity, type, files, message) {
+    issues.push({ severity, type, files, message });
+}
+
+function hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+}
+
+// Value following a "--flag" argument, or null when the flag is absent
+function readFlag(argv, flag) {
+    const index = argv.indexOf(flag);
+    if (index === -1) {
+        return null;
+    }
+    if (!argv[index + 1]) {
+        throw new Error(`${flag} needs a value`);
+    }
+    return argv[index + 1];
+}
+
+function findMetadataFile(argv) {
+    const file = readFlag(argv, '--metadata');
+    if (file) {
+        return path.resolve(file);
+    }
+    const found = defaultMetadataFiles
+        .map(file => path.join(__dirname, file))
+        .find(file => fs.existsSync(file));
+    return found || null;
+}
+
+// Tiny blurred WebP the app can draw while the full image is still downloading
+async function createPlaceholder(buffer) {
+    const thumbnail = await sharp(buffer)
+        .resize(placeholderWidth)
+        .webp({ quality: placeholderQuality })
+        .toBuffer();
+    return `data:image/webp;base64,${thumbnail.toString('base64')}`;
+}
+
+// 64-bit difference hash: a 9x8 grayscale thumbnail, one bit per horizontally adjacent pixel pair.
+// Decoding the whole image for it also proves the file isn't corrupt.
+async function computeDhash(buffer) {
+    const pixels = await sharp(buffer).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            hash = (hash << 1n) | (pixels[row * 9 + col] < pixels[row * 9 + col + 1] ? 1n : 0n);
+        }
+    }
+    return hash;
+}
+
+function hammingDistance(a, b) {
+    let diff = a ^ b;
+    let count = 0;
+    while (diff) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+// Smaller copies for small screens and the gallery. Copies newer than their source are reused,
+// so regenerating the manifest stays fast.
+async function writeResizedImages(file, buffer, width) {
+    const sourceTime = fs.statSync(path.join(avatarCardsDir, file)).mtimeMs;
+    const sizes = {};
+    for (const [name, targetWidth] of Object.entries(imageSizes)) {
+        if (targetWidth >= width) continue;
+
+        const dir = path.join(avatarCardsDir, name);
+        const target = path.join(dir, file);
+        let output;
+        if (fs.existsSync(target) && fs.statSync(target).mtimeMs >= sourceTime) {
+            output = fs.readFileSync(target);
+        } else {
+            output = await sharp(buffer).resize(targetWidth).webp({ quality: resizedQuality }).toBuffer();
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(target, output);
+        }
+
+        const size = readWebpSize(output);
+        sizes[name] = {
+            path: `avatar_cards/${name}/${file}`,
+            width: size.width,
+            height: size.height,
+            bytes: output.length,
+            hash: hashBuffer(output)
+        };
+    }
+    return sizes;
+}
+
+// One image of a card in one language, or null when the file is unusable (reported in `issues`).
+// Also returns the image's perceptual hash for duplicate detection (null without sharp).
+async function buildVariant(file, metadata, options, issues) {
+    const buffer = fs.readFileSync(path.join(avatarCardsDir, file));
+    const { lang } = parseCardFileName(file);
+
+    let width;
+    let height;
+    let dhash = null;
+    try {
+        ({ width, height } = readWebpSize(buffer));
+        if (sharp) {
+            dhash = await computeDhash(buffer);
+        }
+    } catch (error) {
+        addIssue(issues, 'error', 'corrupt', [file], `Image does not decode: ${error.message}`);
+        return null;
+    }
+
+    const ratio = width / height;
+    if (Math.abs(ratio - cardAspectRatio) / cardAspectRatio > aspectRatioTolerance) {
+        addIssue(issues, 'error', 'aspect-ratio', [file],
+            `${width}x${height} has aspect ratio ${ratio.toFixed(3)}, cards are ${cardAspectRatio.toFixed(3)} (63x88)`);
+    }
+
+    const variant = {
+        lang,
+        path: `avatar_cards/${file}`,
+        width,
+        height,
+        bytes: buffer.length,
+        hash: hashBuffer(buffer)
+    };
+    if (sharp) {
+        variant.placeholder = await createPlaceholder(buffer);
+        if (options.resize) {
+            variant.sizes = await writeResizedImages(file, buffer, width);
+        }
+    }
+
+    // Metadata for one specific file (e.g. the localized name) stays with its variant
+    return { variant: { ...variant, ...metadata.get(file) }, dhash };
+}
+
+// Identical files under different card ids are errors; visually near-identical ones are warnings
+function findDuplicates(images, issues) {
+    const byHash = new Map();
+    for (const image of images) {
+        if (!byHash.has(image.hash)) {
+            byHash.set(image.hash, []);
+        }
+        byHash.get(image.hash).push(image);
+    }
+    for (const group of byHash.values()) {
+        if (new Set(group.map(image => image.id)).size > 1) {
+            addIssue(issues, 'error', 'duplicate', group.map(image => image.file), 'Identical images used for different cards');
+        }
+    }
+
+    const withDhash = images.filter(image => image.dhash !== null);
+    for (let i = 0; i < withDhash.length; i++) {
+        for (let j = i + 1; j < withDhash.length; j++) {
+            const a = withDhash[i];
+            const b = withDhash[j];
+            if (a.id === b.id || a.hash === b.hash) continue;
+            const distance = hammingDistance(a.dhash, b.dhash);
+            if (distance <= nearDuplicateDistance) {
+                addIssue(issues, 'warning', 'near-duplicate', [a.file, b.file],
+                    `Images look almost the same (perceptual hash distance ${distance})`);
+            }
+        }
+    }
+}
+
+// The language most images are in, unless --lang picks one
+function choosePrimaryLanguage(files, argv) {
+    const requested = readFlag(argv, '--lang');
+    if (requested) {
+        return requested.toLowerCase();
+    }
+    const counts = new Map();
+    for (const file of files) {
+        const { lang } = parseCardFileName(file);
+        counts.set(lang, (counts.get(lang) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Images sharing a card id become one entry with a variant per language, primary language first.
+// Metadata keyed by the card id applies to every language. Unusable images are left out (and the
+// whole card when none is usable); every image that made it in is added to `images`.
+async function buildCardEntry(id, files, metadata, primaryLang, options, issues, images) {
+    const variants = [];
+    for (const file of files) {
+        const result = await buildVariant(file, metadata, options, issues);
+        if (result) {
+            variants.push(result.variant);
+            images.push({ id, file, hash: result.variant.hash, dhash: result.dhash });
+        }
+    }
+    if (variants.length === 0) {
+        return null;
+    }
+    variants.sort((a, b) =>
+        (b.lang === primaryLang) - (a.lang === primaryLang) || String(a.lang).localeCompare(String(b.lang)));
+
+    return { id, ...metadata.get(id), variants };
+}
+
+function writeReport(file, manifest, imageCount, issues) {
+    const report = {
+        generated: new Date().toISOString(),
+        manifestVersion: MANIFEST_VERSION,
+        // "headers" when sharp is missing: truncated or corrupt image data went unnoticed
+        validation: sharp ? 'decoded' : 'headers',
+        summary: {
+            images: imageCount,
+            cards: manifest.cards.length,
+            errors: issues.filter(issue => issue.severity === 'error').length,
+            warnings: issues.filter(issue => issue.severity === 'warning').length
+        },
+        issues
+    };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    return report;
+}
+
+// Flags: --metadata <file>, --lang <code>, --report <file>, --no-resize (skip resized copies),
+// --strict (warnings fail the run too, and images must be decoded, so sharp is required)
+async function main() {
+    const argv = process.argv.slice(2);
+    const options = {
+        resize: !argv.includes('--no-resize'),
+        strict: argv.includes('--strict'),
+        reportFile: path.resolve(readFlag(argv, '--report') || defaultReportFile)
+    };
+    if (options.strict && !sharp) {
+        throw new Error('--strict needs sharp to decode the images (npm install sharp)');
+    }
+
+    const metadataFile = findMetadataFile(argv);
+    const metadata = metadataFile ? loadMetadata(metadataFile) : new Map();
+    if (metadataFile) {
+        console.log(`Merging metadata for ${metadata.size} cards from ${path.basename(metadataFile)}`);
+    }
+
+    const issues = [];
+    const entries = fs.readdirSync(avatarCardsDir, { withFileTypes: true }).filter(entry => entry.isFile());
+    const files = entries.map(entry => entry.name).filter(file => file.endsWith('.webp')).sort();
+    for (const entry of entries) {
+        if (!entry.name.endsWith('.webp') && !entry.name.startsWith('.')) {
+            addIssue(issues, 'warning', 'unsupported', [entry.name], 'Not a .webp file, left out of the manifest');
+        }
+    }
+
+    if (!sharp) {
+        console.warn('WARNING: sharp is not installed, so only image headers were checked: truncated or corrupt images are not detected. ' +
+            'cards.json is generated without placeholders or resized images.');
+    }
+
+    const filesById = new Map();
+    for (const file of files) {
+        const { id } = parseCardFileName(file);
+        if (!filesById.has(id)) {
+            filesById.set(id, []);
+        }
+        filesById.get(id).push(file);
+    }
+
+    const primaryLang = files.length > 0 ? choosePrimaryLanguage(files, argv) : null;
+    const cards = [];
+    const images = [];
+    for (const [id, cardFiles] of filesById) {
+        const entry = await buildCardEntry(id, cardFiles, metadata, primaryLang, options, issues, images);
+        if (entry) {
+            cards.push(entry);
+        }
+    }
+    findDuplicates(images, issues);
+
+    const manifest = {
+        version: MANIFEST_VERSION,
+        cards
+    };
+
+    fs.writeFileSync(outputFile, JSON.stringify(manifest, null, 2));
+    console.log(`Generated cards.json with ${manifest.cards.length} cards in ${images.length} images (primary language: ${primaryLang})`);
+
+    const { summary } = writeReport(options.reportFile, manifest, files.length, issues);
+    for (const issue of issues) {
+        const log = issue.severity === 'error' ? console.error : console.warn;
+        log(`${issue.severity.toUpperCase()} [${issue.type}] ${issue.files.join(', ')}: ${issue.message}`);
+    }
+    console.log(`${summary.errors} errors, ${summary.warnings} warnings (report: ${path.relative(process.cwd(), options.reportFile)})`);
+
+    // A broken image must not reach the deploy
+    if (summary.errors > 0 || (options.strict && summary.warnings > 0)) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
     console.error('Error generating cards.json:', error);
     process.exit(1);
-}
+});
@@ -0,0 +1,202 @@
+// Service worker: keeps the app shell and the whole deck available offline.
+// Registered as "sw.js?deck=<hash of cards.json>", so a redeploy with a different deck installs a
+// new worker with its own cache; on activation unchanged card images are copied over from the
+// previous cache, which is then deleted.
+
+const CACHE_PREFIX = 'cardStudy-';
+const DECK_VERSION = new URL(self.location.href).searchParams.get('deck') || 'dev';
+const CACHE_NAME = `${CACHE_PREFIX}${DECK_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'app.js',
+    'cards.json',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Card images are requested in small batches so the download doesn't starve the app's own fetches
+const PRECACHE_CONCURRENCY = 4;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(adoptPreviousCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'precache') {
+        event.waitUntil(precacheDeck(event.data.sizes || null));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+    // Requests that opt out of caching (e.g. progress sync) always go to the network
+    if (request.cache === 'no-store') {
+        return;
+    }
+
+    // Card images only change together with cards.json (and therefore the cache name)
+    if (url.pathname.includes('/avatar_cards/')) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// The shell is small and may change between deploys, so prefer fresh copies when online
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+async function broadcast(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    for (const client of clients) {
+        client.postMessage(message);
+    }
+}
+
+// Card images of any manifest format as { path, hash } (v3 lists one image per language variant,
+// each optionally with resized copies). `sizes` picks which of them: size names plus 'full' for the
+// originals, or null for all of them.
+function readManifestCards(manifest, sizes = null) {
+    const cards = Array.isArray(manifest) ? manifest.map(path => ({ path })) : manifest.cards;
+    return cards
+        .flatMap(card => card.variants || [card])
+        .flatMap(variant => [['full', variant], ...Object.entries(variant.sizes || {})])
+        .filter(([size]) => !sizes || sizes.includes(size))
+        .map(([, image]) => ({ path: image.path, hash: image.hash || null }));
+}
+
+// Image hashes from the manifest stored in an older cache, used to reuse unchanged images
+async function loadPreviousHashes(cacheNames) {
+    const hashes = new Map();
+    for (const name of cacheNames) {
+        const cache = await caches.open(name);
+        const response = await cache.match('cards.json');
+        if (!response) continue;
+        try {
+            for (const card of readManifestCards(await response.json())) {
+                if (card.hash) {
+                    hashes.set(card.path, { hash: card.hash, cacheName: name });
+                }
+            }
+        } catch (error) {
+            // Unreadable old manifest: those images are simply downloaded again
+        }
+    }
+    return hashes;
+}
+
+// Copy the images this deck still uses (same path and hash) out of older deck caches, then delete
+// those caches. Done on every activation, whether or not a precache ever completes, so old decks
+// never pile up; images the new deck still lacks are downloaded by the precache or on first use.
+async function adoptPreviousCaches() {
+    const oldCacheNames = (await caches.keys())
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME);
+    if (oldCacheNames.length === 0) {
+        return;
+    }
+
+    try {
+        const cache = await caches.open(CACHE_NAME);
+        const manifestResponse = await cache.match('cards.json');
+        if (manifestResponse) {
+            const previous = await loadPreviousHashes(oldCacheNames);
+            for (const image of readManifestCards(await manifestResponse.json())) {
+                const old = previous.get(image.path);
+                if (!image.hash || !old || old.hash !== image.hash || await cache.match(image.path)) continue;
+                const response = await (await caches.open(old.cacheName)).match(image.path);
+                if (response) {
+                    await cache.put(image.path, response);
+                }
+            }
+        }
+    } catch (error) {
+        // Whatever could not be copied is downloaded again
+    }
+    await Promise.all(oldCacheNames.map(name => caches.delete(name)));
+}
+
+let precachePromise = null;
+
+function precacheDeck(sizes) {
+    // Several tabs may ask at once; run the download only once
+    if (!precachePromise) {
+        precachePromise = runPrecache(sizes).finally(() => {
+            precachePromise = null;
+        });
+    }
+    return precachePromise;
+}
+
+async function runPrecache(sizes) {
+    const cache = await caches.open(CACHE_NAME);
+    const manifestResponse = await cache.match('cards.json');
+    if (!manifestResponse) {
+        return;
+    }
+    const cards = readManifestCards(await manifestResponse.json(), sizes);
+
+    const total = cards.length;
+    let done = 0;
+    let failed = 0;
+
+    const queue = [...cards];
+    const worker = async () => {
+        while (queue.length > 0) {
+            const card = queue.shift();
+            try {
+                if (!(await cache.match(card.path))) {
+                    await cache.add(card.path);
+                }
+            } catch (error) {
+                failed++;
+            }
+            done++;
+            broadcast({ type: 'precache-progress', done, total, failed });
+        }
+    };
+    await Promise.all(Array.from({ length: PRECACHE_CONCURRENCY }, worker));
+    broadcast({ type: 'precache-complete', total, failed });
+}
@@ -0,0 +1,169 @@
+// Minimal self-hosted backend for the app's progress sync (HttpSyncAdapter): stores one JSON
+// document per URL under /progress/<name>, with ETags so two devices can't overwrite each other.
+//
+//   node sync-server.js [--port 8787] [--dir sync-data]
+//
+// Then set the app's sync server to http://localhost:8787/progress/<your name>.
+// Set SYNC_TOKEN to require "Authorization: Bearer <token>" on every request.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const defaultPort = 8787;
+const defaultDataDir = path.join(__dirname, 'sync-data');
+
+// Progress files with a long study log stay well below this
+const maxBodyBytes = 20 * 1024 * 1024;
+
+const token = process.env.SYNC_TOKEN || '';
+
+// Value following a "--flag" argument, or null when the flag is absent
+function readFlag(argv, flag) {
+    const index = argv.indexOf(flag);
+    if (index === -1) {
+        return null;
+    }
+    if (!argv[index + 1]) {
+        throw new Error(`${flag} needs a value`);
+    }
+    return argv[index + 1];
+}
+
+function createEtag(content) {
+    return `"${crypto.createHash('sha256').update(content).digest('hex').slice(0, 16)}"`;
+}
+
+// Compares in constant time; hashing both sides first gives timingSafeEqual equal-length buffers
+// without revealing the token's length
+function isAuthorized(header) {
+    const digest = text => crypto.createHash('sha256').update(text).digest();
+    return crypto.timingSafeEqual(digest(header || ''), digest(`Bearer ${token}`));
+}
+
+// The app is usually served from another origin (e.g. GitHub Pages), so allow cross-origin calls
+function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, If-Match, If-None-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+}
+
+function send(res, status, body = '') {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(body);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBodyBytes) {
+                reject(new Error('Body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Stored document and its ETag, or nulls when nothing is stored yet
+function readCurrent(file) {
+    const current = fs.existsSync(file) ? fs.readFileSync(file) : null;
+    return { current, currentEtag: current ? createEtag(current) : null };
+}
+
+function createServer(dataDir) {
+    return http.createServer(async (req, res) => {
+        setCorsHeaders(res);
+        if (req.method === 'OPTIONS') {
+            send(res, 204);
+            return;
+        }
+
+        const match = new URL(req.url, 'http://localhost').pathname.match(/^\/progress\/([\w-]{1,64})$/);
+        if (!match) {
+            send(res, 404, 'Not found');
+            return;
+        }
+        if (token && !isAuthorized(req.headers.authorization)) {
+            send(res, 401, 'Unauthorized');
+            return;
+        }
+
+        const file = path.join(dataDir, `${match[1]}.json`);
+
+        if (req.method === 'GET') {
+            const { current, currentEtag } = readCurrent(file);
+            if (!current) {
+                send(res, 404, 'No progress stored yet');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json', ETag: currentEtag });
+            res.end(current);
+            return;
+        }
+
+        if (req.method !== 'PUT') {
+            send(res, 405, 'Method not allowed');
+            return;
+        }
+
+        let body;
+        try {
+            body = await readBody(req);
+            JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            send(res, 400, `Invalid body: ${error.message}`);
+            return;
+        }
+
+        // Only overwrite the version the client pulled (If-Match), or create a new one (If-None-Match: *).
+        // Checked after the body arrived and written without awaiting anything in between, so of two
+        // overlapping PUTs against the same version only the first one wins.
+        const { current, currentEtag } = readCurrent(file);
+        const ifMatch = req.headers['if-match'];
+        const ifNoneMatch = req.headers['if-none-match'];
+        if ((ifMatch && ifMatch !== currentEtag) || (ifNoneMatch === '*' && current)) {
+            send(res, 412, 'Progress changed since it was read');
+            return;
+        }
+
+        // Write to a temp file first so a crash never leaves half a document behind
+        const tempFile = `${file}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tempFile, body);
+            fs.renameSync(tempFile, file);
+        } catch (error) {
+            console.error(`Could not store ${match[1]}:`, error);
+            fs.rmSync(tempFile, { force: true });
+            send(res, 500, 'Could not store progress');
+            return;
+        }
+        console.log(`Stored ${match[1]} (${body.length} bytes)`);
+
+        res.writeHead(204, { ETag: createEtag(body) });
+        res.end();
+    });
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    const port = Number(readFlag(argv, '--port')) || defaultPort;
+    const dataDir = path.resolve(readFlag(argv, '--dir') || defaultDataDir);
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    createServer(dataDir).listen(port, () => {
+        console.log(`Sync server listening on http://localhost:${port}/progress/<name>, storing in ${dataDir}`);
+        if (!token) {
+            console.warn('SYNC_TOKEN is not set: anyone who can reach this port can read and write progress');
+        }
+    });
+}
+
+main();